@@ -1,48 +1,231 @@
 import * as readline from 'readline/promises';
+import { parseArgs } from 'util';
 import { CONFIG } from './src/config.js';
-import { requireEnv, onShutdown } from './src/helpers.js';
-import { tools, executeTool, readFile } from './tools/index.js';
+import { 
+  requireEnv, onShutdown, safeJsonParse, logApprovalRequest, logUsage, logRetry, logError, logToStderr,
+  logMcpConnected, logMcpError
+} from './src/helpers.js';
+import { tools, executeTool, readFile, registerTools, getToolExecution, getToolApproval } from './tools/index.js';
 import { runAgentLoop } from './src/ai.js';
+import { createProvider } from './src/providers/index.js';
+import { createConversation, loadConversation } from './src/conversation.js';
+import { estimateCost, checkPricing } from './src/usage.js';
+import { createTranscript } from './src/transcript.js';
+import { connectMcpServers } from './src/mcp.js';
 
-async function main() {
-  requireEnv(CONFIG.apiKey, 'OPENAI_API_KEY');
+async function openConversation(sessionId) {
+  if (!sessionId) return createConversation();
+
+  try {
+    const conversation = await loadConversation(sessionId);
+    console.error(`\nResumed session ${sessionId} (${conversation.messages.length} messages)`);
+    return conversation;
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+// Confirms "ask"-policy tool calls in the REPL; fs_write changes are previewed with a dry run
+function createApprover(rl) {
+  return async (name, args, { signal } = {}) => {
+    let preview;
+    if (name === 'fs_write') {
+      const dryRun = safeJsonParse(await executeTool(name, { ...args, dryRun: true }));
+      preview = dryRun.result?.diff ?? (dryRun.error ? `Dry run failed: ${dryRun.error.message}` : dryRun.result?.action);
+    }
+    logApprovalRequest(name, args, preview);
+
+    const answer = (await rl.question('Approve? [y/N, or type a reason to deny] ', { signal }).catch((err) => {
+      if (signal?.aborted) throw err;
+      return '';
+    })).trim();
+    if (/^y(es)?$/i.test(answer)) return { approved: true };
+    return { approved: false, reason: answer && !/^no?$/i.test(answer) ? `User denied: ${answer}` : undefined };
+  };
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Pairs this turn's function calls with their outputs for --json
+function collectToolCalls(items) {
+  const outputs = new Map(items
+    .filter(item => item.type === 'function_call_output')
+    .map(item => [item.call_id, item.output]));
+
+  return items
+    .filter(item => item.type === 'function_call')
+    .map(call => ({
+      name: call.name,
+      arguments: safeJsonParse(call.arguments, call.arguments),
+      output: safeJsonParse(outputs.get(call.call_id), outputs.get(call.call_id) ?? null)
+    }));
+}
+
+// One-shot mode: a single turn, result on stdout, logs on stderr, exit code 1 when not completed
+async function runOnce(prompt, { json, session, agent }) {
+  const { conversation, transcript } = session;
+
+  const input = (prompt === '-' ? await readStdin() : prompt).trim();
+  // Return instead of exiting, so MCP servers are still closed by the caller
+  if (!input) {
+    console.error('Empty prompt');
+    process.exitCode = 1;
+    return;
+  }
+
+  // The first Ctrl+C (or SIGTERM) cancels the turn, a second one exits immediately
+  const turn = new AbortController();
+  const cancel = () => turn.signal.aborted ? process.exit(130) : turn.abort();
+  process.on('SIGINT', cancel).on('SIGTERM', cancel);
+
+  const start = conversation.messages.length;
+  try {
+    // No approver: "ask"-policy tools are denied, there is nobody to confirm them
+    const result = await runAgentLoop({ ...agent, input, conversation, transcript, stream: false, signal: turn.signal });
+    const cost = estimateCost(result.usage, CONFIG.model);
+
+    if (json) {
+      const toolCalls = collectToolCalls(conversation.messages.slice(start));
+      console.log(JSON.stringify({
+        text: result.text, completed: result.completed, session: conversation.id, toolCalls, usage: result.usage, cost
+      }, null, 2));
+    } else {
+      console.log(result.text);
+    }
+    if (result.usage.requests > 0) logUsage(result.usage, cost, conversation.usage, estimateCost(conversation.usage, CONFIG.model));
+    if (!result.completed) process.exitCode = 1;
+  } catch (err) {
+    transcript.record('turn_error', { cancelled: turn.signal.aborted, message: err.message });
+    if (turn.signal.aborted) console.error('Turn cancelled.');
+    else logError(err);
+    process.exitCode = 1;
+  }
+
+  await transcript.flush();
+}
 
-  const allTools = [{ type: 'web_search' }, ...tools];
-  
-  console.log(`\nAgent ready (${allTools.length} tools). Type "exit" to quit.\n`);
-  console.log(`Tools: ${tools.map(t => t.name).join(', ')}\n`);
+async function runRepl({ session, agent, mcp }) {
+  const { conversation, transcript } = session;
+
+  console.log(`\nAgent ready (${agent.tools.length} tools). Type "exit" to quit.\n`);
+  console.log(`Tools: ${tools.map(t => t.name).join(', ')}`);
+  console.log(`Session: ${conversation.id} (resume with --session ${conversation.id})\n`);
 
   const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-  let responseId = null;
+
+  const approve = createApprover(rl);
+  let turn = null;
 
   const shutdown = onShutdown(async () => {
     rl.close();
+    await mcp.close();
+  }, {
+    // The first Ctrl+C cancels the running turn; a second one (or one at the prompt) exits
+    onInterrupt: () => {
+      if (!turn || turn.signal.aborted) return false;
+      turn.abort();
+      console.log('\nCancelling... (Ctrl+C again to exit)');
+      return true;
+    }
   });
+  // In a TTY readline captures Ctrl+C itself, so forward it
+  rl.on('SIGINT', () => process.emit('SIGINT'));
 
   while (true) {
     const input = await rl.question('You: ').catch(() => 'exit');
     if (input.toLowerCase() === 'exit') break;
 
+    turn = new AbortController();
     try {
       const result = await runAgentLoop({ 
+        ...agent,
         input, 
-        tools: allTools, 
-        executeTool,
-        readFile,
-        apiKey: CONFIG.apiKey, 
-        model: CONFIG.model,
-        responseId,
-        maxIterations: CONFIG.maxIterations
+        conversation,
+        approve,
+        stream: CONFIG.stream,
+        transcript,
+        signal: turn.signal
       });
-      responseId = result.responseId;
-      console.log(`\nAssistant: ${result.text}\n`);
+      // Streamed replies were already printed as they arrived
+      if (!result.streamed) console.log(`\nAssistant: ${result.text}\n`);
+      if (result.usage.requests > 0) {
+        logUsage(
+          result.usage, estimateCost(result.usage, CONFIG.model),
+          conversation.usage, estimateCost(conversation.usage, CONFIG.model)
+        );
+      }
       if (!result.completed) break;
     } catch (err) {
-      console.error(`\nError: ${err.message}\n`);
+      transcript.record('turn_error', { cancelled: turn.signal.aborted, message: err.message });
+      if (turn.signal.aborted) console.log('\nTurn cancelled.\n');
+      else logError(err);
+    } finally {
+      turn = null;
     }
   }
 
+  await transcript.flush();
   await shutdown();
 }
 
-main();
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      session: { type: 'string' },
+      prompt: { type: 'string', short: 'p' },
+      json: { type: 'boolean', default: false }
+    }
+  });
+  const oneShot = options.prompt !== undefined;
+  if (oneShot) logToStderr();
+
+  // Stub and self-hosted OpenAI-compatible servers run without a key
+  if (CONFIG.provider.name !== 'stub' && !CONFIG.provider.baseUrl) {
+    requireEnv(CONFIG.apiKey, 'LLM_API_KEY or OPENAI_API_KEY');
+  }
+
+  // Otherwise the cost budget would silently never trigger
+  const pricingError = checkPricing(CONFIG.model);
+  if (pricingError) {
+    console.error(pricingError);
+    process.exit(1);
+  }
+
+  const provider = createProvider({ ...CONFIG.provider, onRetry: logRetry });
+  const conversation = await openConversation(options.session);
+  const session = { conversation, transcript: createTranscript(conversation.id) };
+
+  const mcp = await connectMcpServers({ onConnect: logMcpConnected, onError: logMcpError });
+  registerTools(mcp.tools);
+
+  const agent = {
+    tools: [{ type: 'web_search' }, ...tools],
+    executeTool,
+    toolExecution: getToolExecution,
+    toolApproval: getToolApproval,
+    readFile,
+    provider,
+    apiKey: CONFIG.apiKey,
+    model: CONFIG.model,
+    maxIterations: CONFIG.maxIterations
+  };
+
+  if (oneShot) {
+    console.error(`Session: ${conversation.id}`);
+    await runOnce(options.prompt, { json: options.json, session, agent });
+    await mcp.close();
+  } else {
+    await runRepl({ session, agent, mcp });
+  }
+}
+
+// Startup failures (e.g. a broken session file) get the same error output as failed turns
+main().catch((err) => {
+  logError(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,149 @@
+/**
+ * MCP server - serves the agent's tools (fs_read, fs_write, scrape, send and any plugins)
+ * to other MCP clients, over the same sandboxed workspace.
+ *
+ *   npm run mcp                          # stdio
+ *   npm run mcp -- --http --port 3333    # streamable HTTP on http://127.0.0.1:3333/mcp
+ *
+ * Calls go through executeTool, so arguments are validated exactly as in the agent.
+ * The agent's approval policy does not apply here; confirmation is up to the MCP client.
+ *
+ * Over HTTP, requests with an unexpected Host or Origin are rejected (DNS rebinding), and
+ * CONFIG.mcp.serverToken is required as a bearer token when set. Listening beyond loopback
+ * (e.g. --host 0.0.0.0 --allowed-hosts agent.lan:3333) refuses to start without a token.
+ */
+
+import { createServer } from 'node:http';
+import { timingSafeEqual } from 'node:crypto';
+import { parseArgs } from 'node:util';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { ListToolsRequestSchema, CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { CONFIG } from './src/config.js';
+import { onShutdown, safeJsonParse, logToStderr } from './src/helpers.js';
+import { tools, executeTool } from './tools/index.js';
+
+const SERVER_INFO = { name: 'agent-stage1-tools', version: '1.0.0' };
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+// Private helpers
+const toMcpTool = ({ name, description, parameters }) => ({ name, description, inputSchema: parameters });
+
+// Tools report failures as { success: false, error } JSON; MCP clients expect isError for those
+function toCallResult(output) {
+  const failed = safeJsonParse(output, null)?.success === false;
+  return { content: [{ type: 'text', text: output }], ...(failed && { isError: true }) };
+}
+
+function createMcpServer() {
+  const server = new Server(SERVER_INFO, { capabilities: { tools: {} } });
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: tools.map(toMcpTool) }));
+
+  server.setRequestHandler(CallToolRequestSchema, async ({ params }, { signal }) => {
+    try {
+      return toCallResult(await executeTool(params.name, params.arguments ?? {}, { signal }));
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+    }
+  });
+
+  return server;
+}
+
+async function serveStdio() {
+  const server = createMcpServer();
+  await server.connect(new StdioServerTransport());
+  console.error(`MCP server ready on stdio (${tools.length} tools)`);
+  onShutdown(() => server.close());
+}
+
+// Host header values the server answers to: loopback names, the listening host and --allowed-hosts
+function allowedHostHeaders(host, port, extra) {
+  const names = [...LOOPBACK_HOSTS, ...(['0.0.0.0', '::'].includes(host) ? [] : [host])];
+  const hosts = names.map(name => name.includes(':') ? `[${name}]:${port}` : `${name}:${port}`);
+  return [...new Set([...hosts, ...extra])];
+}
+
+function isAuthorized(req, token) {
+  if (!token) return true;
+  const expected = Buffer.from(`Bearer ${token}`);
+  const given = Buffer.from(req.headers.authorization ?? '');
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// Stateless: every request gets its own server and transport
+async function serveHttp({ host, port, allowedHosts: extraHosts }) {
+  const token = CONFIG.mcp.serverToken;
+  // Without a token anyone who can reach the port could write files and send email
+  if (!LOOPBACK_HOSTS.includes(host) && !token) {
+    throw new Error(`Listening on ${host} requires AGENT_MCP_SERVER_TOKEN (clients send it as a bearer token)`);
+  }
+
+  const allowedHosts = allowedHostHeaders(host, port, extraHosts);
+  const allowedOrigins = allowedHosts.flatMap(h => [`http://${h}`, `https://${h}`]);
+
+  const httpServer = createServer(async (req, res) => {
+    if (new URL(req.url, 'http://localhost').pathname !== '/mcp') {
+      res.writeHead(404).end();
+      return;
+    }
+    if (!isAuthorized(req, token)) {
+      res.writeHead(401, { 'WWW-Authenticate': 'Bearer' }).end();
+      return;
+    }
+
+    const server = createMcpServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: undefined,
+      enableDnsRebindingProtection: true,
+      allowedHosts,
+      allowedOrigins,
+    });
+    res.on('close', () => {
+      transport.close();
+      server.close();
+    });
+
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res);
+    } catch (err) {
+      console.error(`MCP request failed: ${err.message}`);
+      if (!res.headersSent) res.writeHead(500).end();
+    }
+  });
+
+  await new Promise((resolve) => httpServer.listen(port, host, resolve));
+  console.error(`MCP server ready on http://${host}:${port}/mcp (${tools.length} tools)`);
+  onShutdown(() => new Promise((resolve) => httpServer.close(resolve)));
+}
+
+// Public API
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      http: { type: 'boolean', default: false },
+      host: { type: 'string', default: '127.0.0.1' },
+      port: { type: 'string', default: '3333' },
+      // Extra Host header values (host:port) clients may use, e.g. a LAN name behind --host 0.0.0.0
+      'allowed-hosts': { type: 'string', default: '' }
+    }
+  });
+
+  // stdout belongs to the protocol in stdio mode
+  logToStderr();
+
+  if (options.http) {
+    const allowedHosts = options['allowed-hosts'].split(',').map(s => s.trim()).filter(Boolean);
+    await serveHttp({ host: options.host, port: Number(options.port), allowedHosts });
+  } else {
+    await serveStdio();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
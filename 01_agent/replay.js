@@ -0,0 +1,137 @@
+/**
+ * Replay a session transcript.
+ *
+ *   npm run replay -- <session-id | transcript.jsonl> [--execute] [--tools fs_read,fs_write]
+ *
+ * Re-renders the recorded turns with the agent's logging. With --execute, tool calls are
+ * run again against a scratch copy of the workspace and compared with the recorded results.
+ * Only workspace tools are re-executed by default, so replays never scrape or send email.
+ */
+
+import { cp, mkdtemp } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, relative } from 'node:path';
+import { parseArgs } from 'node:util';
+import { CONFIG } from './src/config.js';
+import {
+  extractText, resolveReferencesInArgs, safeJsonParse,
+  logToolCall, logInjectedRefs, logToolSuccess, logToolError, logToolDenied,
+  logReplayInput, logReplayNote, logReplayComparison
+} from './src/helpers.js';
+import { readTranscript } from './src/transcript.js';
+import { executeTool, readFile } from './tools/index.js';
+
+const DEFAULT_TOOLS = ['fs_read', 'fs_write'];
+
+// Private helpers
+async function createScratchWorkspace() {
+  const source = CONFIG.workspace.root;
+  const scratch = await mkdtemp(join(tmpdir(), 'agent-replay-'));
+  await cp(source, scratch, {
+    recursive: true,
+    filter: (path) => !relative(source, path).split(/[\\/]/).includes('.agent-data')
+  });
+  return scratch;
+}
+
+// Denied, cancelled and skipped calls never ran, so there is nothing to re-execute
+const wasExecuted = (output) =>
+  !['DENIED', 'CANCELLED', 'BUDGET_EXCEEDED', 'INVALID_JSON', 'UNRESOLVED_REFERENCE'].includes(safeJsonParse(output).error?.code);
+
+function renderResult(output) {
+  if (output.startsWith('Error: ')) return logToolError({ message: output.slice('Error: '.length) });
+
+  const error = safeJsonParse(output).error;
+  if (error?.code === 'DENIED') return logToolDenied(error.message);
+  if (error?.code === 'CANCELLED') return logToolError(error);
+  logToolSuccess(output);
+}
+
+async function reExecute(name, args) {
+  try {
+    const { resolved, injected } = await resolveReferencesInArgs(args, readFile, { tool: name });
+    const unresolved = injected.find(ref => !ref.success);
+    if (unresolved) return `Error: @workspace:${unresolved.path}: ${unresolved.error}`;
+    return await executeTool(name, resolved);
+  } catch (err) {
+    return `Error: ${err.message}`;
+  }
+}
+
+// Public API
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      execute: { type: 'boolean', default: false },
+      tools: { type: 'string' }
+    }
+  });
+
+  if (positionals.length !== 1) {
+    console.error('Usage: npm run replay -- <session-id | transcript.jsonl> [--execute] [--tools fs_read,fs_write]');
+    process.exit(1);
+  }
+
+  const events = await readTranscript(positionals[0]);
+  const replayable = new Set(options.tools ? options.tools.split(',').map(t => t.trim()) : DEFAULT_TOOLS);
+
+  if (options.execute) {
+    CONFIG.workspace.root = await createScratchWorkspace();
+    logReplayNote(`Re-executing ${[...replayable].join(', ')} in scratch workspace ${CONFIG.workspace.root}`);
+  }
+
+  const calls = new Map();
+  let executed = 0;
+  let differed = 0;
+
+  for (const event of events) {
+    switch (event.type) {
+      case 'user_input':
+        logReplayInput(event.ts, event.input);
+        break;
+      case 'model_output': {
+        const text = extractText(event.output);
+        if (text) console.log(`\nAssistant: ${text}\n`);
+        break;
+      }
+      case 'tool_call':
+        calls.set(event.call_id, event);
+        logToolCall(event.name, event.arguments);
+        break;
+      case 'injection':
+        logInjectedRefs(event.refs);
+        break;
+      case 'tool_result': {
+        renderResult(event.output);
+
+        const call = calls.get(event.call_id);
+        if (!options.execute || !call || !replayable.has(call.name) || !wasExecuted(event.output)) break;
+
+        const output = await reExecute(call.name, call.arguments);
+        logReplayNote(`    ↻ re-executed ${call.name}`);
+        renderResult(output);
+        executed++;
+        if (output !== event.output) differed++;
+        logReplayComparison(output === event.output);
+        break;
+      }
+      case 'turn_end':
+        logReplayNote(`[${event.reason}]`);
+        break;
+      case 'turn_error':
+        logReplayNote(event.cancelled ? '[Turn cancelled]' : `[Turn failed: ${event.message}]`);
+        break;
+    }
+  }
+
+  if (options.execute) {
+    console.log();
+    logReplayNote(`Re-executed ${executed} call(s), ${differed} differed. Scratch workspace: ${CONFIG.workspace.root}`);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
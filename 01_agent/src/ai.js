@@ -1,71 +1,245 @@
 import { 
   extractText, extractToolCalls, toToolResult, resolveReferencesInArgs,
-  logToolCall, logInjectedRefs, logToolSuccess, logToolError, safeJsonParse 
+  logToolCall, logInjectedRefs, logToolSuccess, logToolError, safeJsonParse,
+  logTextDelta, endTextStream, logCompaction, logToolDenied, logOutputLimited
 } from './helpers.js';
+import { estimateTokens, compactMessages } from './compaction.js';
+import { emptyUsage, addUsage, checkBudget } from './usage.js';
+import { toolLimits, limitOutput } from './limits.js';
+import { runScheduled } from './scheduler.js';
 import { CONFIG } from './config.js';
 
 // Private helpers
-async function createCompletion({ apiKey, model, tools, input, previousResponseId }) {
-  const response = await fetch('https://api.openai.com/v1/responses', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
-    body: JSON.stringify({
-      model,
-      instructions: CONFIG.systemPrompt,
-      input,
-      tools,
-      ...(previousResponseId && { previous_response_id: previousResponseId })
-    })
+async function createCompletion(provider, { apiKey, model, tools, input, stream, onTextDelta, onToolCall, signal }) {
+  return provider.complete({
+    apiKey,
+    model,
+    instructions: CONFIG.systemPrompt,
+    input,
+    tools,
+    stream,
+    onTextDelta,
+    onToolCall,
+    signal
   });
+}
 
-  const data = await response.json();
-  if (data.error) throw new Error(data.error.message);
-  
-  return { output: data.output, responseId: data.id };
+function compactIfNeeded(messages) {
+  const { maxContextTokens } = CONFIG.compaction;
+  if (estimateTokens(messages) <= maxContextTokens) return;
+
+  const stats = compactMessages(messages, CONFIG.compaction);
+  if (stats.elided > 0) logCompaction(stats);
+}
+
+// `toolApproval(name, args)` gives the tool's own default (e.g. "ask" for MCP tools), below
+// CONFIG.approval.tools, and whether the call is a validated dry run
+function approvalPolicy(name, args, toolApproval) {
+  const { policy, dryRun } = toolApproval?.(name, args) ?? {};
+  // Dry runs have no side effects, so they never need confirmation
+  if (dryRun) return 'auto';
+  return CONFIG.approval.tools[name] ?? policy ?? CONFIG.approval.default;
+}
+
+async function checkApproval(name, args, { approve, toolApproval, signal }) {
+  const policy = approvalPolicy(name, args, toolApproval);
+  if (policy === 'auto') return { approved: true };
+  if (policy === 'deny') return { approved: false, reason: `Tool "${name}" is disabled by policy` };
+
+  // "ask" without an interactive approver is treated as a denial
+  if (!approve) return { approved: false, reason: `Tool "${name}" requires approval, which is unavailable in non-interactive mode` };
+  const answer = await approve(name, args, { signal });
+  return answer.approved
+    ? answer
+    : { approved: false, reason: answer.reason || `User denied the "${name}" call` };
+}
+
+// Every function_call needs an output, so calls skipped on budget stop get one too
+const toSkipped = (call, reason) => toToolResult(call.call_id, JSON.stringify({
+  success: false,
+  error: { code: 'BUDGET_EXCEEDED', message: `${reason}. The call was not executed.` },
+}));
+
+const toDenial = (reason) => JSON.stringify({
+  success: false,
+  error: { code: 'DENIED', message: reason },
+  hint: 'The call was not executed. Do not retry it unchanged; ask the user how to proceed.',
+});
+
+const CANCELLED = JSON.stringify({
+  success: false,
+  error: { code: 'CANCELLED', message: 'The user cancelled this turn before the call completed.' },
+});
+
+// A reference that cannot be injected fails the call instead of passing the raw token on
+const toUnresolved = (refs) => JSON.stringify({
+  success: false,
+  error: {
+    code: 'UNRESOLVED_REFERENCE',
+    message: refs.map(ref => `@workspace:${ref.path}: ${ref.error}`).join('; '),
+  },
+  hint: 'Fix the path or fragment (check it with fs_read), or write @@workspace: to pass the text literally.',
+});
+
+const toInvalidJson = (err) => JSON.stringify({
+  success: false,
+  error: { code: 'INVALID_JSON', message: `Arguments are not valid JSON: ${err.message}` },
+  hint: 'Send the arguments as a single JSON object matching the tool schema.',
+});
+
+// Malformed arguments are reported back instead of silently running the tool with {}
+function parseArguments(json) {
+  try {
+    const args = JSON.parse(json || '{}');
+    if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+      return { error: new Error('expected a JSON object') };
+    }
+    return { args };
+  } catch (err) {
+    return { error: err };
+  }
 }
 
-async function executeCall(call, { executeTool, readFile }) {
-  const parsedArgs = safeJsonParse(call.arguments);
-  logToolCall(call.name, parsedArgs);
+// Resolves references and asks for approval; runs sequentially so prompts follow call order
+async function prepareCall(call, { readFile, announced, approve, toolApproval, transcript, signal }) {
+  if (signal?.aborted) return { call, output: CANCELLED };
+
+  const { args: parsedArgs, error } = parseArguments(call.arguments);
+  if (!announced.has(call.call_id)) logToolCall(call.name, parsedArgs ?? {});
+  transcript?.record('tool_call', { call_id: call.call_id, name: call.name, arguments: parsedArgs ?? call.arguments });
+  if (error) {
+    logToolError({ message: `Invalid JSON arguments: ${error.message}` });
+    return { call, output: toInvalidJson(error) };
+  }
   
   let args = parsedArgs;
   if (readFile) {
-    const { resolved, injected } = await resolveReferencesInArgs(parsedArgs, readFile);
+    const { resolved, injected } = await resolveReferencesInArgs(parsedArgs, readFile, { tool: call.name });
     logInjectedRefs(injected);
+    if (injected.length > 0) transcript?.record('injection', { call_id: call.call_id, refs: injected });
+
+    const unresolved = injected.filter(ref => !ref.success);
+    if (unresolved.length > 0) return { call, args: parsedArgs, output: toUnresolved(unresolved) };
     args = resolved;
   }
-  
+
+  let approval;
   try {
-    const result = await executeTool(call.name, args);
-    logToolSuccess(result);
-    return toToolResult(call.call_id, result);
+    approval = await checkApproval(call.name, args, { approve, toolApproval, signal });
   } catch (err) {
+    if (signal?.aborted) return { call, output: CANCELLED };
+    throw err;
+  }
+  if (!approval.approved) {
+    logToolDenied(approval.reason);
+    return { call, args, output: toDenial(approval.reason) };
+  }
+  return { call, args };
+}
+
+const toTimeout = (name, timeoutMs) => JSON.stringify({
+  success: false,
+  error: { code: 'TIMEOUT', message: `${name} did not finish within ${timeoutMs / 1000}s and was stopped` },
+  hint: 'Retry with a smaller request (fewer URLs, narrower path or pattern).',
+});
+
+// Calls rejected during preparation already carry their output
+async function runCall({ call, args, output }, { executeTool, signal }) {
+  if (output) return output;
+  if (signal?.aborted) return CANCELLED;
+
+  const limits = toolLimits(call.name);
+  const timeout = AbortSignal.timeout(limits.timeoutMs);
+
+  try {
+    const result = await executeTool(call.name, args, { signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
+    const limited = await limitOutput(String(result), { ...limits, name: call.name, callId: call.call_id });
+    if (limited.action) logOutputLimited(limited, limits.maxOutputBytes);
+    logToolSuccess(limited.output);
+    return limited.output;
+  } catch (err) {
+    if (timeout.aborted && !signal?.aborted) {
+      logToolError({ message: `Timed out after ${limits.timeoutMs / 1000}s` });
+      return toTimeout(call.name, limits.timeoutMs);
+    }
     logToolError(err);
-    return toToolResult(call.call_id, `Error: ${err.message}`);
+    return signal?.aborted ? CANCELLED : `Error: ${err.message}`;
   }
 }
 
+async function executeCall(prepared, { executeTool, transcript, signal }) {
+  const { call } = prepared;
+  const output = await runCall(prepared, { executeTool, signal });
+  transcript?.record('tool_result', { call_id: call.call_id, name: call.name, output });
+  return toToolResult(call.call_id, output);
+}
+
 // Public API
-export async function runAgentLoop({ input, tools, executeTool, readFile, apiKey, model, responseId = null, maxIterations }) {
-  let messages = input;
-  let conversationId = responseId;
+export async function runAgentLoop({ input, conversation, tools, executeTool, readFile, approve, provider, apiKey, model, maxIterations, stream = false, transcript, toolExecution, toolApproval, signal }) {
+  const usage = emptyUsage();
+
+  const exceeded = checkBudget(conversation.usage, model);
+  if (exceeded) {
+    return { text: `[${exceeded}]`, completed: false, streamed: false, usage };
+  }
+
+  conversation.append({ role: 'user', content: input });
+  transcript?.record('user_input', { input });
 
   for (let i = 0; i < maxIterations; i++) {
-    const { output, responseId: newId } = await createCompletion({ 
-      apiKey, model, tools, input: messages, previousResponseId: conversationId 
-    });
+    // Tool calls rendered while streaming are not logged again on execution
+    const announced = new Set();
+    let streamed = false;
+
+    compactIfNeeded(conversation.messages);
+
+    const { output, usage: requestUsage } = await createCompletion(provider, { 
+      apiKey, model, tools, input: conversation.messages, stream, signal,
+      onTextDelta: (delta) => {
+        streamed = true;
+        logTextDelta(delta);
+      },
+      onToolCall: (call) => {
+        announced.add(call.call_id);
+        logToolCall(call.name, safeJsonParse(call.arguments));
+      }
+    }).finally(endTextStream);
+
+    addUsage(usage, requestUsage);
+    addUsage(conversation.usage, requestUsage);
 
-    conversationId = newId;
+    conversation.append(...output);
+    transcript?.record('model_output', { iteration: i, output, usage: requestUsage });
     const toolCalls = extractToolCalls(output);
     
     if (toolCalls.length === 0) {
-      return { text: extractText(output), responseId: conversationId, completed: true };
+      await Promise.all([conversation.save(), transcript?.flush()]);
+      return { text: extractText(output), completed: true, streamed, usage };
     }
 
-    messages = await Promise.all(
-      toolCalls.map(call => executeCall(call, { executeTool, readFile }))
+    const overBudget = checkBudget(conversation.usage, model);
+    if (overBudget) {
+      conversation.append(...toolCalls.map(call => toSkipped(call, overBudget)));
+      transcript?.record('turn_end', { reason: overBudget });
+      await Promise.all([conversation.save(), transcript?.flush()]);
+      return { text: `[${overBudget}]`, completed: false, streamed: false, usage };
+    }
+
+    const prepared = [];
+    for (const call of toolCalls) {
+      prepared.push(await prepareCall(call, { readFile, announced, approve, toolApproval, transcript, signal }));
+    }
+
+    const results = await runScheduled(
+      prepared, p => executeCall(p, { executeTool, transcript, signal }), toolExecution
     );
+    // Results (including cancelled ones) are stored before stopping, so every call has an output
+    conversation.append(...results);
+    await Promise.all([conversation.save(), transcript?.flush()]);
+    signal?.throwIfAborted();
   }
 
-  return { text: '[Max iterations reached]', responseId: conversationId, completed: false };
-}
\ No newline at end of file
+  transcript?.record('turn_end', { reason: 'Max iterations reached' });
+  await transcript?.flush();
+  return { text: '[Max iterations reached]', completed: false, streamed: false, usage };
+}
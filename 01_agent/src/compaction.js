@@ -0,0 +1,77 @@
+/**
+ * Context compaction - keeps the conversation under the model's context window.
+ *
+ * Old tool outputs (full scrape markdown, file previews...) are replaced with a short
+ * note that keeps the file paths, URLs and checksums the model may still need.
+ */
+
+const CHARS_PER_TOKEN = 4;
+const MAX_REFERENCES = 20;
+
+// Private helpers
+const itemSize = (item) => JSON.stringify(item).length;
+
+function collectFromJson(node, refs) {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectFromJson(child, refs));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+
+  const path = node.filePath ?? node.path ?? node.file ?? node.url;
+  const checksum = node.newChecksum ?? node.checksum ?? node.content?.checksum ?? node.result?.newChecksum;
+  if (typeof path === 'string') {
+    refs.set(path, refs.get(path) ?? checksum);
+  }
+  Object.values(node).forEach(child => collectFromJson(child, refs));
+}
+
+function collectReferences(output) {
+  const refs = new Map();
+  try {
+    collectFromJson(JSON.parse(output), refs);
+  } catch {
+    // Plain text output (e.g. scrape in direct mode): keep URL headings and saved file paths
+    for (const [, ref] of output.matchAll(/^(?:## |- )(\S+[./]\S+)$/gm)) refs.set(ref, undefined);
+  }
+  return [...refs].slice(0, MAX_REFERENCES);
+}
+
+function elideOutput(output) {
+  const refs = collectReferences(output)
+    .map(([path, checksum]) => checksum ? `${path} (checksum: ${checksum})` : path);
+  const kb = (output.length / 1024).toFixed(1);
+
+  return `[Tool output elided to save context (${kb}KB).`
+    + (refs.length > 0 ? ` References: ${refs.join(', ')}.` : '')
+    + ' Re-run the tool if you need the content again.]';
+}
+
+// Public API
+export const estimateTokens = (items) =>
+  Math.ceil(items.reduce((sum, item) => sum + itemSize(item), 0) / CHARS_PER_TOKEN);
+
+/**
+ * Elide old tool outputs (oldest first) until the estimate drops to targetTokens.
+ * Mutates the message list in place.
+ */
+export function compactMessages(messages, { targetTokens, keepRecentOutputs, minOutputChars }) {
+  const before = estimateTokens(messages);
+  const outputs = messages.filter(m => m.type === 'function_call_output');
+  const candidates = outputs.slice(0, Math.max(0, outputs.length - keepRecentOutputs));
+
+  let tokens = before;
+  let elided = 0;
+
+  for (const item of candidates) {
+    if (tokens <= targetTokens) break;
+    if (typeof item.output !== 'string' || item.output.length < minOutputChars) continue;
+
+    const previousSize = itemSize(item);
+    item.output = elideOutput(item.output);
+    tokens -= Math.floor((previousSize - itemSize(item)) / CHARS_PER_TOKEN);
+    elided++;
+  }
+
+  return { before, after: estimateTokens(messages), elided };
+}
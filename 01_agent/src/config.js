@@ -2,10 +2,30 @@ import { join } from 'path';
 
 const rootDir = join(import.meta.dirname, '..');
 
+const listFromEnv = (value) => value ? value.split(',').map(s => s.trim()).filter(Boolean) : null;
+
 export const CONFIG = {
-  model: 'gpt-5.2',
-  apiKey: process.env.OPENAI_API_KEY,
+  model: process.env.LLM_MODEL || 'gpt-5.2',
+  apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
   maxIterations: 10,
+  // Print text deltas and tool calls as they arrive (Responses API and stub)
+  stream: true,
+
+  // LLM provider: "responses", "chat", "anthropic" or "stub"
+  provider: {
+    name: process.env.LLM_PROVIDER || 'responses',
+    // OpenAI-compatible base URL, e.g. http://localhost:11434/v1 for Ollama
+    baseUrl: process.env.LLM_BASE_URL,
+    // JSON file with canned outputs replayed by the stub provider
+    stubScript: process.env.LLM_STUB_SCRIPT,
+    // Retries for rate limits (429), server errors (5xx), timeouts and network failures
+    retry: {
+      maxRetries: 3,
+      baseDelayMs: 1000,
+      maxDelayMs: 30000,
+      timeoutMs: Number(process.env.LLM_TIMEOUT_MS) || 120000,
+    },
+  },
 
   systemPrompt: `You are a helpful assistant that can use tools to answer questions and help the user.
 
@@ -19,13 +39,21 @@ YOU DO NOT NEED TO READ THE FILE FIRST. Just use the reference directly if you k
 
 When to READ a file first:
 - You need to inspect/analyze the content
-- You need only specific lines or a portion of the file
 - You need to understand the structure before processing
 
 When to use @workspace: reference directly:
 - Passing entire file contents to another tool
 - You already know the file path exists
 
+Fragments inject only part of a file:
+- @workspace:report.md#L10-40 - lines 10 to 40
+- @workspace:notes.md#next-steps - section under a Markdown heading (slug, or %20 for spaces)
+- @workspace:data.json#/items/0 - JSON pointer
+- @workspace:meetings/**/*.md or @workspace:meetings/ - all matching files, each with a path + checksum header
+
+References work in any argument, including arrays and nested objects. A reference that cannot be
+resolved fails the call. Write @@workspace: to pass the literal text "@workspace:".
+
 CORRECT:
   send_email({ body: "@workspace:report.md" })
   fs_write({ path: "summary.txt", content: "Based on @workspace:data.json" })
@@ -37,9 +65,102 @@ WRONG (never do this):
 The @workspace: prefix refers to files in the workspace.
 Use minimal arguments. Be concise.`,
 
+  // USD per 1M tokens, used for cost estimates and the cost budget
+  pricing: {
+    'gpt-5.2': { input: 1.75, cachedInput: 0.175, output: 14 },
+  },
+
+  // Optional hard per-session limits (null = unlimited); the loop stops when exceeded
+  budget: {
+    maxTokens: process.env.AGENT_MAX_TOKENS ? Number(process.env.AGENT_MAX_TOKENS) : null,
+    maxCostUsd: process.env.AGENT_MAX_COST_USD ? Number(process.env.AGENT_MAX_COST_USD) : null,
+  },
+
+  // Tool approval: "auto" (run), "ask" (confirm in the REPL) or "deny"
+  // Dry runs (dryRun=true) of tools that declare support for them (fs_write) run without confirmation
+  approval: {
+    default: 'auto',
+    tools: {
+      fs_write: 'ask',
+      send: 'ask',
+    },
+  },
+
+  // Tools are discovered from tools/*/ and the plugins directory (modules exporting schema + execute)
+  tools: {
+    // Directory with additional tool modules (optional)
+    pluginsDir: process.env.AGENT_PLUGINS_DIR,
+    // Only these tools are loaded when set; disabled ones are always skipped
+    enabled: listFromEnv(process.env.AGENT_TOOLS_ENABLED),
+    disabled: listFromEnv(process.env.AGENT_TOOLS_DISABLED) ?? [],
+    // Per-tool settings, passed to execute() as context.settings (merged over the tool's own defaults)
+    settings: {},
+    // Tools that never run in parallel with other calls of the same iteration
+    exclusive: listFromEnv(process.env.AGENT_TOOLS_EXCLUSIVE) ?? [],
+  },
+
+  // @workspace: reference injection; globs or directories ("notes/**/*.md", "notes/") bundle many files
+  references: {
+    maxFiles: 50,
+    // Injected text beyond this is cut with a "[truncated: ...]" marker; larger binaries fail
+    maxBytes: 256 * 1024,
+    // Tools that take binary files, as "base64" or "data-uri" (tools may also declare it themselves)
+    binary: {},
+  },
+
+  // Embeddings for fs_read semantic search; vectors are stored under dataDir/index
+  embeddings: {
+    // "local" (offline feature hashing) or "openai" (any OpenAI-compatible /embeddings endpoint)
+    provider: process.env.AGENT_EMBEDDINGS_PROVIDER || 'local',
+    model: process.env.AGENT_EMBEDDINGS_MODEL || 'text-embedding-3-small',
+    apiKey: process.env.AGENT_EMBEDDINGS_API_KEY || process.env.OPENAI_API_KEY,
+    baseUrl: process.env.AGENT_EMBEDDINGS_BASE_URL || process.env.LLM_BASE_URL,
+    // Vector size of the local embedder
+    dimensions: 512,
+  },
+
+  // Tool execution limits, per tool overrides in `tools`
+  limits: {
+    default: {
+      timeoutMs: 60000,
+      maxOutputBytes: 64 * 1024,
+      // Larger outputs: "spill" saves them under dataDir/outputs and returns a pointer, "truncate" cuts them
+      overflow: 'spill',
+    },
+    tools: {
+      scrape: { timeoutMs: 300000 },
+    },
+  },
+
+  // External MCP servers whose tools are merged into the agent's tools (named "<server>__<tool>")
+  mcp: {
+    // { name: { command, args, env, cwd } } for stdio, { name: { url, headers } } for streamable HTTP
+    servers: {},
+    // JSON file with more servers, e.g. { "mcpServers": { ... } } (optional)
+    configFile: process.env.AGENT_MCP_CONFIG,
+    // Approval default for MCP tools; CONFIG.approval.tools can still set a policy per tool
+    approval: 'ask',
+    // Bearer token for "npm run mcp -- --http"; required when it listens beyond loopback
+    serverToken: process.env.AGENT_MCP_SERVER_TOKEN,
+  },
+
+  // Context compaction (token counts are estimates, ~4 chars per token)
+  compaction: {
+    // Compact when the conversation estimate exceeds this
+    maxContextTokens: 120000,
+    // Elide old tool outputs until the estimate drops below this
+    targetTokens: 60000,
+    // Most recent tool outputs are always kept intact
+    keepRecentOutputs: 4,
+    // Shorter outputs are never elided
+    minOutputChars: 1000,
+  },
+
   // Workspace configuration
   workspace: {
     root: join(rootDir, 'workspace'),
+    // Agent state (sessions, transcripts, indexes), excluded from file search
+    dataDir: join(rootDir, 'workspace', '.agent-data'),
   },
 
   // Firecrawl configuration
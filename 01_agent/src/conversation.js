@@ -0,0 +1,64 @@
+/**
+ * Client-side conversation store.
+ *
+ * Keeps the full list of Responses API items (user inputs, model output,
+ * tool calls and results) so a session does not depend on previous_response_id
+ * and can be saved to / resumed from the workspace data directory.
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { CONFIG } from './config.js';
+import { emptyUsage } from './usage.js';
+
+const SESSION_ID_PATTERN = /^[\w.-]+$/;
+
+const sessionsDir = () => join(CONFIG.workspace.dataDir, 'sessions');
+const sessionPath = (id) => join(sessionsDir(), `${id}.json`);
+
+// The random suffix keeps runs started in the same second (e.g. cron jobs) from sharing a session
+const newSessionId = () => `${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}-${randomBytes(3).toString('hex')}`;
+
+/**
+ * Create a conversation, optionally seeded with existing messages and usage totals.
+ */
+export function createConversation({ id = newSessionId(), messages = [], usage = emptyUsage() } = {}) {
+  if (!SESSION_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid session id: ${id}`);
+  }
+
+  return {
+    id,
+    messages,
+    usage,
+
+    append(...items) {
+      messages.push(...items);
+    },
+
+    async save() {
+      await mkdir(sessionsDir(), { recursive: true });
+      const data = { id, updatedAt: new Date().toISOString(), usage, messages };
+      await writeFile(sessionPath(id), JSON.stringify(data, null, 2), 'utf8');
+    },
+  };
+}
+
+/**
+ * Load a saved conversation by session id.
+ */
+export async function loadConversation(id) {
+  if (!SESSION_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid session id: ${id}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(await readFile(sessionPath(id), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new Error(`Session not found: ${id}`);
+    throw err;
+  }
+  return createConversation({ id, messages: data.messages ?? [], usage: { ...emptyUsage(), ...data.usage } });
+}
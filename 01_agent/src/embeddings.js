@@ -0,0 +1,102 @@
+/**
+ * Embedding providers for fs_read semantic search.
+ *
+ * Every provider exposes the same interface:
+ *   embed(texts, { signal }) → number[][]   (unit-length vectors, one per text)
+ *   id                                      (provider, model and size; stored vectors from another id are re-embedded)
+ *
+ *   local   deterministic feature hashing of words and character trigrams, offline and free
+ *   openai  POST /embeddings on OpenAI or any OpenAI-compatible server (Ollama, llama.cpp, vLLM...)
+ */
+
+import { postJson } from './providers/http.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const BATCH_SIZE = 64;
+// Trigrams let inflected forms ("budżet", "budżetu") land near each other; words still dominate
+const TRIGRAM_WEIGHT = 0.5;
+
+// Private helpers
+
+// FNV-1a, 32 bit
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function normalize(vector) {
+  const norm = Math.hypot(...vector);
+  return norm > 0 ? vector.map(v => v / norm) : vector;
+}
+
+function features(text) {
+  const counts = new Map();
+  const add = (feature, weight) => counts.set(feature, (counts.get(feature) ?? 0) + weight);
+
+  for (const word of text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) ?? []) {
+    add(`w:${word}`, 1);
+    const padded = `^${word}$`;
+    for (let i = 0; i + 3 <= padded.length; i++) add(`t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+  }
+  return counts;
+}
+
+// Sublinear term frequency, hashed into `dimensions` buckets with a hash-derived sign
+function hashingVector(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  for (const [feature, count] of features(text)) {
+    const h = hash(feature);
+    vector[h % dimensions] += (h & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+  }
+  return normalize(vector);
+}
+
+function createLocalEmbedder({ dimensions = 512 } = {}) {
+  return {
+    id: `local:hashing:${dimensions}`,
+    async embed(texts) {
+      return texts.map(text => hashingVector(text, dimensions));
+    },
+  };
+}
+
+function createOpenAIEmbedder({ apiKey, model, baseUrl = DEFAULT_BASE_URL, retry }) {
+  return {
+    id: `openai:${model}`,
+    async embed(texts, { signal } = {}) {
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+        const data = await postJson(`${baseUrl}/embeddings`, {
+          headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+          body: { model, input: texts.slice(i, i + BATCH_SIZE) },
+          signal,
+        }, retry);
+        const batch = [...data.data].sort((a, b) => a.index - b.index);
+        vectors.push(...batch.map(item => normalize(item.embedding)));
+      }
+      return vectors;
+    },
+  };
+}
+
+const factories = {
+  local: createLocalEmbedder,
+  openai: createOpenAIEmbedder,
+};
+
+// Public API
+
+/**
+ * Create an embedding provider from CONFIG.embeddings settings.
+ */
+export function createEmbedder({ provider = 'local', ...options } = {}) {
+  const factory = factories[provider];
+  if (!factory) {
+    throw new Error(`Unknown embedding provider: ${provider}. Available: ${Object.keys(factories).join(', ')}`);
+  }
+  return factory(options);
+}
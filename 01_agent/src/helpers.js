@@ -12,6 +12,8 @@ const c = {
   gray: '\x1b[90m',
 };
 
+const formatTokens = (n) => n >= 1000 ? `${(n / 1000).toFixed(1)}k` : `${n}`;
+
 const formatSize = (bytes) => bytes > 1024 ? `${(bytes / 1024).toFixed(1)}KB` : `${bytes}B`;
 
 const formatArgs = (args) => Object.entries(args).map(([k, v]) => {
@@ -21,31 +23,141 @@ const formatArgs = (args) => Object.entries(args).map(([k, v]) => {
   return `${c.yellow}${k}${c.reset}${c.dim}: ${val}${c.reset}`;
 }).join(', ');
 
+// Log output; one-shot CLI mode moves it to stderr so stdout only carries the result
+let out = process.stdout;
+
+export const logToStderr = () => {
+  out = process.stderr;
+};
+
+const log = (line = '') => out.write(`${line}\n`);
+
+// Streaming output
+let streamOpen = false;
+
+export const logTextDelta = (delta) => {
+  if (!streamOpen) out.write('\nAssistant: ');
+  streamOpen = true;
+  out.write(delta);
+};
+
+export const endTextStream = () => {
+  if (streamOpen) out.write('\n\n');
+  streamOpen = false;
+};
+
 // Tool execution logging
-export const logToolCall = (name, args) => 
-  console.log(`  ${c.cyan}→${c.reset} ${c.cyan}${name}${c.reset}(${formatArgs(args)})`);
+export const logToolCall = (name, args) => {
+  endTextStream();
+  log(`  ${c.cyan}→${c.reset} ${c.cyan}${name}${c.reset}(${formatArgs(args)})`);
+};
 
 export const logInjectedRefs = (refs) => {
   for (const ref of refs) {
     if (ref.success) {
-      console.log(`    ${c.blue}📎${c.reset} ${c.gray}${ref.path}${c.reset} ${c.dim}(${formatSize(ref.size)})${c.reset}`);
+      const details = [
+        formatSize(ref.size),
+        ref.encoding && ref.encoding !== 'utf8' && ref.encoding,
+      ].filter(Boolean).join(', ');
+      const truncated = ref.truncated ? ` ${c.yellow}truncated from ${formatSize(ref.totalBytes)}${c.reset}` : '';
+      log(`    ${c.blue}📎${c.reset} ${c.gray}${ref.path}${c.reset} ${c.dim}(${details})${c.reset}${truncated}`);
     } else {
-      console.log(`    ${c.red}📎${c.reset} ${c.gray}${ref.path}${c.reset} ${c.red}${ref.error}${c.reset}`);
+      log(`    ${c.red}📎${c.reset} ${c.gray}${ref.path}${c.reset} ${c.red}${ref.error}${c.reset}`);
     }
   }
 };
 
 export const logToolSuccess = (result) => {
-  console.log(`    ${c.green}✓${c.reset} ${formatSize(result.length)}`);
+  log(`    ${c.green}✓${c.reset} ${formatSize(result.length)}`);
   try {
-    console.log(JSON.stringify(JSON.parse(result), null, 2));
+    log(JSON.stringify(JSON.parse(result), null, 2));
   } catch {
-    console.log(result);
+    log(result);
   }
 };
 
 export const logToolError = (err) => 
-  console.log(`    ${c.red}✗ ${err.message}${c.reset}`);
+  log(`    ${c.red}✗ ${err.message}${c.reset}`);
+
+export const logToolDenied = (reason) =>
+  log(`    ${c.yellow}⊘ ${reason}${c.reset}`);
+
+export const logOutputLimited = ({ bytes, action, path }, maxBytes) =>
+  log(`    ${c.magenta}⇣${c.reset} ${c.gray}Output ${formatSize(bytes)} exceeds ${formatSize(maxBytes)}: `
+    + `${action === 'spilled' ? `saved to ${path}` : 'truncated'}${c.reset}`);
+
+// Transcript replay
+export const logReplayInput = (ts, input) =>
+  log(`\n${c.dim}[${ts}]${c.reset} ${c.bold}You:${c.reset} ${input}`);
+
+export const logReplayNote = (note) =>
+  log(`${c.dim}${note}${c.reset}`);
+
+export const logReplayComparison = (same) => log(same
+  ? `    ${c.dim}= same as recorded${c.reset}`
+  : `    ${c.magenta}≠ differs from recorded${c.reset}`);
+
+export const logApprovalRequest = (name, args, diff) => {
+  log(`\n  ${c.bold}${c.yellow}Approval required:${c.reset} ${c.cyan}${name}${c.reset}`);
+  log(`${c.gray}${JSON.stringify(args, null, 2)}${c.reset}`);
+  if (diff) {
+    const colored = diff.split('\n').map(line => {
+      if (line.startsWith('+') && !line.startsWith('+++')) return `${c.green}${line}${c.reset}`;
+      if (line.startsWith('-') && !line.startsWith('---')) return `${c.red}${line}${c.reset}`;
+      return `${c.dim}${line}${c.reset}`;
+    });
+    log(colored.join('\n'));
+  }
+};
+
+export const logCompaction = ({ before, after, elided }) =>
+  log(`  ${c.magenta}⇣${c.reset} ${c.gray}Context compacted: ~${before} → ~${after} tokens (${elided} tool outputs elided)${c.reset}`);
+
+// Usage summary
+export const logUsage = (turn, turnCost, session, sessionCost) => {
+  const cost = (value) => value === null ? '' : ` · $${value.toFixed(4)}`;
+  const details = [
+    turn.cachedTokens > 0 && `${formatTokens(turn.cachedTokens)} cached`,
+    turn.reasoningTokens > 0 && `${formatTokens(turn.reasoningTokens)} reasoning`,
+  ].filter(Boolean).join(', ');
+
+  log(
+    `${c.gray}[${formatTokens(turn.inputTokens)} in · ${formatTokens(turn.outputTokens)} out`
+    + `${details ? ` (${details})` : ''}${cost(turnCost)}`
+    + ` | session ${formatTokens(session.inputTokens + session.outputTokens)} tokens${cost(sessionCost)}]${c.reset}\n`
+  );
+};
+
+// MCP servers
+export const logMcpConnected = (name, toolCount) =>
+  log(`  ${c.magenta}⇄${c.reset} ${c.gray}MCP server "${name}": ${toolCount} tools${c.reset}`);
+
+export const logMcpError = (name, err) =>
+  log(`  ${c.red}⇄ MCP server "${name}" unavailable: ${err.message}${c.reset}`);
+
+// Model API errors
+const ERROR_HINTS = {
+  auth: 'Check LLM_API_KEY / OPENAI_API_KEY.',
+  rate_limit: 'Rate limited, retries exhausted. Try again in a moment.',
+  server: 'The provider returned a server error, retries exhausted.',
+  timeout: 'Increase LLM_TIMEOUT_MS if responses are legitimately slow.',
+  network: 'Check your connection or LLM_BASE_URL.',
+  bad_request: 'The request was rejected; check the model name and tool schemas.',
+};
+
+export const logRetry = (err, attempt, delayMs) =>
+  log(`  ${c.yellow}↻ ${err.kind}${err.status ? ` (HTTP ${err.status})` : ''}: retry ${attempt} in ${(delayMs / 1000).toFixed(1)}s${c.reset}`);
+
+export const logError = (err) => {
+  if (!err.kind) {
+    console.error(`\nError: ${err.message}\n`);
+    return;
+  }
+  const hint = ERROR_HINTS[err.kind];
+  console.error(`\n${c.red}Error [${err.kind}${err.status ? ` ${err.status}` : ''}]: ${err.message}${c.reset}`);
+  if (hint) console.error(`${c.gray}${hint}${c.reset}`);
+  console.error('');
+};
 
 // Guards
 export const requireEnv = (value, name) => {
@@ -56,13 +168,14 @@ export const requireEnv = (value, name) => {
   return value;
 };
 
-export const onShutdown = (cleanup) => {
+// `onInterrupt` may handle SIGINT itself (return true), e.g. to cancel a running turn
+export const onShutdown = (cleanup, { onInterrupt } = {}) => {
   const handler = async () => {
-    console.log('\nShutting down...');
+    log('\nShutting down...');
     await cleanup();
     process.exit(0);
   };
-  process.on('SIGINT', handler);
+  process.on('SIGINT', () => onInterrupt?.() || handler());
   process.on('SIGTERM', handler);
   return handler;
 };
@@ -86,38 +199,63 @@ export const toToolResult = (callId, output) =>
   ({ type: 'function_call_output', call_id: callId, output });
 
 // Workspace reference resolution
-const WORKSPACE_REF_PATTERN = /@workspace:([^\s]+)/g;
-
-const resolveReferencesInValue = async (value, readFile) => {
-  if (typeof value !== 'string') return { resolved: value, injected: [] };
-  
-  const matches = [...value.matchAll(WORKSPACE_REF_PATTERN)];
-  if (matches.length === 0) return { resolved: value, injected: [] };
-  
-  let resolved = value;
-  const injected = [];
-  
-  for (const match of matches) {
-    const [fullMatch, path] = match;
+// "@@workspace:path" is the escape form and becomes the literal text "@workspace:path".
+// Quotes, angle brackets and ")" end a reference, so it can sit in src="..." or a Markdown link.
+const WORKSPACE_REF_PATTERN = /(@?)@workspace:([^\s"'`<>)]+)/g;
+const TRAILING_PUNCTUATION = /[.,;:!?]+$/;
+
+// Injected content is not scanned again, so files mentioning @workspace: are inserted verbatim
+const resolveReferencesInString = async (value, readFile, context, injected) => {
+  let resolved = '';
+  let last = 0;
+
+  for (const match of value.matchAll(WORKSPACE_REF_PATTERN)) {
+    // Sentence punctuation after a reference ("see @workspace:report.md.") stays in the text
+    const [, escape, rawPath] = match;
+    const path = rawPath.replace(TRAILING_PUNCTUATION, '');
+    const fullMatch = `${escape}@workspace:${path}`;
+    resolved += value.slice(last, match.index);
+    last = match.index + fullMatch.length;
+
+    if (escape) {
+      resolved += fullMatch.slice(1);
+      continue;
+    }
     try {
-      const content = await readFile(path);
-      resolved = resolved.replace(fullMatch, content);
-      injected.push({ path, success: true, size: content.length });
+      const { text, truncated, totalBytes, encoding } = await readFile(path, context);
+      resolved += text;
+      injected.push({ path, success: true, size: text.length, truncated, totalBytes, encoding });
     } catch (err) {
+      resolved += fullMatch;
       injected.push({ path, success: false, error: err.message });
     }
   }
-  return { resolved, injected };
+  return resolved + value.slice(last);
 };
 
-export const resolveReferencesInArgs = async (args, readFile) => {
-  const resolved = {};
-  const allInjected = [];
-  
-  for (const [key, value] of Object.entries(args)) {
-    const { resolved: val, injected } = await resolveReferencesInValue(value, readFile);
-    resolved[key] = val;
-    allInjected.push(...injected);
+// Walks arrays and objects at any depth; only string values are resolved
+const resolveReferencesInValue = async (value, readFile, context, injected) => {
+  if (typeof value === 'string') return resolveReferencesInString(value, readFile, context, injected);
+
+  if (Array.isArray(value)) {
+    const resolved = [];
+    for (const item of value) resolved.push(await resolveReferencesInValue(item, readFile, context, injected));
+    return resolved;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      resolved[key] = await resolveReferencesInValue(item, readFile, context, injected);
+    }
+    return resolved;
   }
-  return { resolved, injected: allInjected };
+  return value;
+};
+
+// `context` is passed on to readFile, e.g. { tool } so binary rendering can depend on the target
+export const resolveReferencesInArgs = async (args, readFile, context = {}) => {
+  const injected = [];
+  const resolved = await resolveReferencesInValue(args, readFile, context, injected);
+  return { resolved, injected };
 };
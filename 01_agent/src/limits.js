@@ -0,0 +1,98 @@
+/**
+ * Tool execution limits - per-tool timeouts and output size caps.
+ *
+ * Oversized outputs are either spilled to a file under the data directory (the model gets
+ * a pointer with path + checksum and a short preview) or truncated in place.
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join, relative } from 'node:path';
+import { CONFIG } from './config.js';
+import { generateChecksum } from '../tools/files/lib/checksum.js';
+
+const PREVIEW_CHARS = 1000;
+
+// Private helpers
+const truncateBytes = (text, maxBytes) =>
+  Buffer.from(text, 'utf8').subarray(0, maxBytes).toString('utf8').replace(/\uFFFD$/, '');
+
+const hasMultilineString = (value) => typeof value === 'string'
+  ? value.includes('\n')
+  : value !== null && typeof value === 'object' && Object.values(value).some(hasMultilineString);
+
+// Text following "key:" or "-" in the outline
+function outlineValue(value, indent) {
+  if (typeof value === 'string' && value.includes('\n')) {
+    return ` |\n${value.split('\n').map(line => `${indent}${line}`).join('\n')}`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const body = toOutline(value, indent);
+    return body ? `\n${body}` : (Array.isArray(value) ? ' []' : ' {}');
+  }
+  return ` ${JSON.stringify(value)}`;
+}
+
+// YAML-like outline where multi-line strings (e.g. scraped markdown) become indented blocks
+function toOutline(value, indent = '') {
+  const entries = Array.isArray(value)
+    ? value.map(item => ['-', item])
+    : Object.entries(value).map(([key, item]) => [`${key}:`, item]);
+  return entries.map(([label, item]) => `${indent}${label}${outlineValue(item, `${indent}  `)}`).join('\n');
+}
+
+// Spill files are read back in line ranges with fs_read: pretty-printed JSON, unless it holds
+// multi-line strings, which JSON would keep on a single line; those are written as an outline
+function toFileContent(output) {
+  let parsed;
+  try {
+    parsed = JSON.parse(output);
+  } catch {
+    return { content: output, ext: 'txt' };
+  }
+  if (!hasMultilineString(parsed)) return { content: JSON.stringify(parsed, null, 2), ext: 'json' };
+  return { content: typeof parsed === 'string' ? parsed : toOutline(parsed), ext: 'txt' };
+}
+
+async function spill(output, { name, callId, bytes }) {
+  const { content, ext } = toFileContent(output);
+  const dir = join(CONFIG.workspace.dataDir, 'outputs');
+  const file = join(dir, `${Date.now()}-${name}-${callId}.${ext}`.replace(/[^\w.-]/g, '_'));
+
+  await mkdir(dir, { recursive: true });
+  await writeFile(file, content, 'utf8');
+
+  const path = relative(CONFIG.workspace.root, file).split('\\').join('/');
+  return JSON.stringify({
+    success: true,
+    spilled: true,
+    path,
+    bytes,
+    checksum: generateChecksum(content),
+    preview: output.slice(0, PREVIEW_CHARS),
+    hint: `Output was too large (${bytes} bytes) and was saved to ${path}. Read parts of it with fs_read (lines or pattern) instead of requesting it again.`,
+  });
+}
+
+// Public API
+
+/**
+ * Effective limits for a tool: CONFIG.limits.default merged with CONFIG.limits.tools[name].
+ */
+export const toolLimits = (name) => ({ ...CONFIG.limits.default, ...CONFIG.limits.tools[name] });
+
+/**
+ * Apply the output size policy. Returns { output } unchanged when within limits,
+ * otherwise { output, bytes, action: 'spilled' | 'truncated', path? }.
+ */
+export async function limitOutput(output, { name, callId, maxOutputBytes, overflow }) {
+  const bytes = Buffer.byteLength(output, 'utf8');
+  if (!maxOutputBytes || bytes <= maxOutputBytes) return { output };
+
+  if (overflow === 'spill') {
+    const pointer = await spill(output, { name, callId, bytes });
+    return { output: pointer, bytes, action: 'spilled', path: JSON.parse(pointer).path };
+  }
+
+  const marker = `\n…[truncated: showing ${maxOutputBytes} of ${bytes} bytes]`;
+  return { output: truncateBytes(output, maxOutputBytes) + marker, bytes, action: 'truncated' };
+}
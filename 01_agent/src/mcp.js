@@ -0,0 +1,142 @@
+/**
+ * MCP client - connects to external MCP servers and exposes their tools to the agent.
+ *
+ * Servers come from CONFIG.mcp.servers (or the JSON file in AGENT_MCP_CONFIG):
+ *   { "files": { "command": "node", "args": ["server.js"], "env": {} },
+ *     "resend": { "url": "http://localhost:3000/mcp", "headers": {} } }
+ *
+ * Each remote tool becomes a registry entry ({ schema, execute }) named "<server>__<tool>",
+ * so it is routed through executeTool like any built-in tool.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport, getDefaultEnvironment } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { CONFIG } from './config.js';
+import { safeJsonParse } from './helpers.js';
+
+// Private helpers
+const CLIENT_INFO = { name: 'agent-stage1', version: '1.0.0' };
+
+// Function names must match ^[a-zA-Z0-9_-]{1,64}$
+const toToolName = (server, tool) => `${server}__${tool}`.replace(/[^\w-]/g, '_').slice(0, 64);
+
+// A missing or broken config file is reported like a failed server; CONFIG.mcp.servers still connect
+async function loadServers(onError) {
+  const { servers, configFile } = CONFIG.mcp;
+  if (!configFile) return servers;
+
+  let file;
+  try {
+    file = JSON.parse(await readFile(configFile, 'utf8'));
+  } catch (err) {
+    onError?.('config', new Error(`Cannot load ${configFile}: ${err.message}`));
+    return servers;
+  }
+  // Also accept the common { "mcpServers": { ... } } layout
+  return { ...servers, ...(file.mcpServers ?? file.servers ?? file) };
+}
+
+function createTransport(server) {
+  if (server.url) {
+    return new StreamableHTTPClientTransport(new URL(server.url), {
+      requestInit: { headers: server.headers ?? {} }
+    });
+  }
+  if (server.command) {
+    return new StdioClientTransport({
+      command: server.command,
+      args: server.args ?? [],
+      cwd: server.cwd,
+      env: { ...getDefaultEnvironment(), ...server.env },
+      stderr: 'inherit'
+    });
+  }
+  throw new Error('Server needs either "command" (stdio) or "url" (streamable HTTP)');
+}
+
+async function listAllTools(client) {
+  const tools = [];
+  let cursor;
+  do {
+    const page = await client.listTools(cursor ? { cursor } : {});
+    tools.push(...page.tools);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return tools;
+}
+
+// Text parts are passed through; other content is summarized
+function toToolOutput(result) {
+  const text = (result.content ?? []).map(part => part.type === 'text'
+    ? part.text
+    : `[${part.type}${part.mimeType ? `: ${part.mimeType}` : ''}]`
+  ).join('\n');
+
+  if (result.isError) {
+    // Servers built on our tools already return structured { success: false } errors
+    if (safeJsonParse(text, null)?.success === false) return text;
+    return JSON.stringify({ success: false, error: { code: 'MCP_TOOL_ERROR', message: text || 'Tool failed' } });
+  }
+  if (!text && result.structuredContent) return JSON.stringify(result.structuredContent);
+  return text;
+}
+
+function toRegistryEntry(serverName, client, tool) {
+  return {
+    schema: {
+      type: 'function',
+      name: toToolName(serverName, tool.name),
+      description: tool.description ?? `${tool.name} (MCP server "${serverName}")`,
+      parameters: tool.inputSchema ?? { type: 'object', properties: {} },
+    },
+    // Remote tools can have any side effect, so they get their own approval default
+    approval: CONFIG.mcp.approval,
+    async execute(args, { signal } = {}) {
+      const result = await client.callTool({ name: tool.name, arguments: args }, undefined, { signal });
+      return toToolOutput(result);
+    },
+  };
+}
+
+async function connectServer(name, server) {
+  const client = new Client(CLIENT_INFO);
+  try {
+    await client.connect(createTransport(server));
+    const tools = await listAllTools(client);
+    return { client, tools: tools.map(tool => toRegistryEntry(name, client, tool)) };
+  } catch (err) {
+    // Don't leave a half-started stdio server behind
+    await client.close().catch(() => {});
+    throw err;
+  }
+}
+
+// Public API
+
+/**
+ * Connect to every configured server. Servers that fail are reported via `onError` and skipped.
+ * Returns { tools, close() } where tools are registry entries for registerTools().
+ */
+export async function connectMcpServers({ onConnect, onError } = {}) {
+  const servers = await loadServers(onError);
+  const clients = [];
+  const tools = [];
+
+  for (const [name, server] of Object.entries(servers)) {
+    try {
+      const connection = await connectServer(name, server);
+      clients.push(connection.client);
+      tools.push(...connection.tools);
+      onConnect?.(name, connection.tools.length);
+    } catch (err) {
+      onError?.(name, err);
+    }
+  }
+
+  return {
+    tools,
+    close: () => Promise.allSettled(clients.map(client => client.close())),
+  };
+}
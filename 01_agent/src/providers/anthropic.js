@@ -0,0 +1,90 @@
+/**
+ * Anthropic Messages API provider.
+ *
+ * Translates Responses API items to Messages content blocks (tool_use / tool_result)
+ * and back. Built-in tools such as web_search are not available and are dropped.
+ */
+
+import { postJson, ModelApiError } from './http.js';
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com/v1';
+const API_VERSION = '2023-06-01';
+const MAX_TOKENS = 8192;
+
+const textOf = (content) => typeof content === 'string'
+  ? content
+  : content?.map(part => part.text ?? '').join('') ?? '';
+
+const toAnthropicTools = (tools) => tools
+  .filter(t => t.type === 'function')
+  .map(({ name, description, parameters }) => ({ name, description, input_schema: parameters }));
+
+function toAnthropicMessages(items) {
+  const messages = [];
+
+  // Consecutive blocks of the same role must be merged into one message
+  const push = (role, block) => {
+    const last = messages[messages.length - 1];
+    if (last?.role === role) last.content.push(block);
+    else messages.push({ role, content: [block] });
+  };
+
+  for (const item of items) {
+    if (item.type === 'function_call') {
+      push('assistant', { type: 'tool_use', id: item.call_id, name: item.name, input: JSON.parse(item.arguments || '{}') });
+    } else if (item.type === 'function_call_output') {
+      push('user', { type: 'tool_result', tool_use_id: item.call_id, content: textOf(item.output) });
+    } else if (item.type === 'message' || item.role) {
+      const text = textOf(item.content);
+      if (text) push(item.role === 'user' ? 'user' : 'assistant', { type: 'text', text });
+    }
+  }
+  return messages;
+}
+
+// Anthropic reports cache reads/writes separately from input_tokens
+const toUsage = (usage) => usage && {
+  inputTokens: usage.input_tokens + (usage.cache_read_input_tokens ?? 0) + (usage.cache_creation_input_tokens ?? 0),
+  outputTokens: usage.output_tokens,
+  cachedTokens: usage.cache_read_input_tokens ?? 0,
+  reasoningTokens: 0,
+};
+
+function fromAnthropicContent(content) {
+  const output = [];
+  const text = content.filter(b => b.type === 'text').map(b => b.text).join('');
+  if (text) {
+    output.push({ type: 'message', role: 'assistant', content: [{ type: 'output_text', text }] });
+  }
+  for (const block of content.filter(b => b.type === 'tool_use')) {
+    output.push({ type: 'function_call', call_id: block.id, name: block.name, arguments: JSON.stringify(block.input) });
+  }
+  return output;
+}
+
+export function createAnthropicProvider({ baseUrl = DEFAULT_BASE_URL, http } = {}) {
+  return {
+    name: 'anthropic',
+
+    async complete({ apiKey, model, instructions, input, tools, signal }) {
+      const data = await postJson(`${baseUrl}/messages`, {
+        headers: {
+          'anthropic-version': API_VERSION,
+          ...(apiKey && { 'x-api-key': apiKey }),
+        },
+        body: {
+          model,
+          max_tokens: MAX_TOKENS,
+          system: instructions,
+          messages: toAnthropicMessages(input),
+          tools: toAnthropicTools(tools)
+        },
+        signal
+      }, http);
+
+      if (data.type === 'error' || data.error) throw new ModelApiError(data.error?.message ?? 'Anthropic API error');
+
+      return { output: fromAnthropicContent(data.content), responseId: data.id, usage: toUsage(data.usage) };
+    },
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * Chat Completions provider - OpenAI or any OpenAI-compatible server
+ * (llama.cpp, Ollama, vLLM, LM Studio...).
+ *
+ * The agent loop speaks Responses API items, so input/output is translated here.
+ * Built-in tools such as web_search are not available and are dropped.
+ */
+
+import { postJson, ModelApiError } from './http.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+const textOf = (content) => typeof content === 'string'
+  ? content
+  : content?.map(part => part.text ?? '').join('') ?? '';
+
+const toChatTools = (tools) => tools
+  .filter(t => t.type === 'function')
+  .map(({ name, description, parameters }) => ({ type: 'function', function: { name, description, parameters } }));
+
+function toChatMessages(instructions, items) {
+  const messages = instructions ? [{ role: 'system', content: instructions }] : [];
+
+  for (const item of items) {
+    const last = messages[messages.length - 1];
+
+    if (item.type === 'function_call') {
+      const toolCall = { id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments } };
+      if (last?.role === 'assistant') {
+        (last.tool_calls ??= []).push(toolCall);
+      } else {
+        messages.push({ role: 'assistant', content: null, tool_calls: [toolCall] });
+      }
+    } else if (item.type === 'function_call_output') {
+      messages.push({ role: 'tool', tool_call_id: item.call_id, content: textOf(item.output) });
+    } else if (item.type === 'message' || item.role) {
+      messages.push({ role: item.role ?? 'assistant', content: textOf(item.content) });
+    }
+  }
+  return messages;
+}
+
+const toUsage = (usage) => usage && {
+  inputTokens: usage.prompt_tokens,
+  outputTokens: usage.completion_tokens,
+  cachedTokens: usage.prompt_tokens_details?.cached_tokens ?? 0,
+  reasoningTokens: usage.completion_tokens_details?.reasoning_tokens ?? 0,
+};
+
+function fromChatMessage(message) {
+  const output = [];
+  if (message.content) {
+    output.push({ type: 'message', role: 'assistant', content: [{ type: 'output_text', text: message.content }] });
+  }
+  for (const call of message.tool_calls ?? []) {
+    output.push({ type: 'function_call', call_id: call.id, name: call.function.name, arguments: call.function.arguments ?? '{}' });
+  }
+  return output;
+}
+
+export function createChatProvider({ baseUrl = DEFAULT_BASE_URL, http } = {}) {
+  return {
+    name: 'chat',
+
+    async complete({ apiKey, model, instructions, input, tools, signal }) {
+      const chatTools = toChatTools(tools);
+      const data = await postJson(`${baseUrl}/chat/completions`, {
+        headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+        body: {
+          model,
+          messages: toChatMessages(instructions, input),
+          ...(chatTools.length > 0 && { tools: chatTools })
+        },
+        signal
+      }, http);
+
+      if (data.error) throw new ModelApiError(data.error.message ?? String(data.error));
+
+      return { output: fromChatMessage(data.choices[0].message), responseId: data.id, usage: toUsage(data.usage) };
+    },
+  };
+}
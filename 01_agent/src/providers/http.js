@@ -0,0 +1,118 @@
+/**
+ * HTTP transport for model APIs - per-request timeout, retries with
+ * exponential backoff (honoring Retry-After) and error classification.
+ */
+
+const RETRYABLE = new Set(['rate_limit', 'server', 'timeout', 'network']);
+
+/**
+ * Error raised for failed model API calls.
+ * kind: rate_limit | server | timeout | network | auth | bad_request | api
+ */
+export class ModelApiError extends Error {
+  constructor(message, { kind = 'api', status, retryAfterMs, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ModelApiError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = RETRYABLE.has(kind);
+  }
+}
+
+// Private helpers
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+function classifyStatus(status) {
+  if (status === 429) return 'rate_limit';
+  if (status === 401 || status === 403) return 'auth';
+  if (status >= 500) return 'server';
+  return 'bad_request';
+}
+
+function parseRetryAfter(headers) {
+  const ms = headers.get('retry-after-ms');
+  if (ms && !isNaN(Number(ms))) return Number(ms);
+
+  const value = headers.get('retry-after');
+  if (!value) return undefined;
+  if (!isNaN(Number(value))) return Number(value) * 1000;
+
+  const date = Date.parse(value);
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+const errorMessage = (data) =>
+  data?.error?.message ?? data?.message ?? (typeof data?.error === 'string' ? data.error : undefined);
+
+// Exponential backoff with jitter: half fixed, half random
+function backoff(attempt, { baseDelayMs, maxDelayMs }) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+async function attempt(url, { headers, body, stream, signal }, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      // The caller's signal (user cancellation) stays attached while a stream is read
+      signal: signal ? AbortSignal.any([controller.signal, signal]) : controller.signal,
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => null);
+      throw new ModelApiError(errorMessage(data) ?? `HTTP ${response.status}`, {
+        kind: classifyStatus(response.status),
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers),
+      });
+    }
+
+    // For streams the timeout only covers the time until headers arrive
+    return stream ? response : await response.json();
+  } catch (err) {
+    if (err instanceof ModelApiError || signal?.aborted) throw err;
+    if (controller.signal.aborted) {
+      throw new ModelApiError(`Request timed out after ${timeoutMs}ms`, { kind: 'timeout', cause: err });
+    }
+    throw new ModelApiError(`Network error: ${err.cause?.message ?? err.message}`, { kind: 'network', cause: err });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Public API
+
+/**
+ * POST a JSON body. Resolves to parsed JSON, or to the raw Response when `stream` is set.
+ * Aborting `signal` cancels the request (and any pending retry) without retrying.
+ */
+export async function postJson(url, { headers = {}, body, stream = false, signal }, options = {}) {
+  const { maxRetries = 3, baseDelayMs = 1000, maxDelayMs = 30000, timeoutMs = 120000, onRetry } = options;
+
+  for (let i = 0; ; i++) {
+    try {
+      return await attempt(url, { headers, body, stream, signal }, timeoutMs);
+    } catch (err) {
+      if (!err.retryable || i >= maxRetries) throw err;
+
+      // Retry-After is honored, but never beyond maxDelayMs (a server asking for an hour would block the turn)
+      const delay = err.retryAfterMs !== undefined
+        ? Math.min(maxDelayMs, err.retryAfterMs)
+        : backoff(i, { baseDelayMs, maxDelayMs });
+      onRetry?.(err, i + 1, delay);
+      await sleep(delay, signal);
+    }
+  }
+}
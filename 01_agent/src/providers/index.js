@@ -0,0 +1,37 @@
+/**
+ * LLM provider registry.
+ *
+ * Every provider exposes the same interface, speaking Responses API items:
+ *   complete({ apiKey, model, instructions, input, tools, signal }) → { output, responseId, usage }
+ *
+ * `input` is always the full conversation; no provider relies on server-side state.
+ * With `stream: true`, providers that support it also call `onTextDelta(delta)`
+ * and `onToolCall(item)` as soon as a function call's arguments are complete.
+ */
+
+import { createResponsesProvider } from './responses.js';
+import { createChatProvider } from './chat.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createStubProvider } from './stub.js';
+
+export { ModelApiError } from './http.js';
+
+const factories = {
+  responses: createResponsesProvider,
+  chat: createChatProvider,
+  anthropic: createAnthropicProvider,
+  stub: createStubProvider,
+};
+
+/**
+ * Create a provider from CONFIG.provider settings.
+ * `onRetry(error, attempt, delayMs)` is called before each retried request.
+ */
+export function createProvider({ name = 'responses', baseUrl, stubScript, retry, onRetry } = {}) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown provider: ${name}. Available: ${Object.keys(factories).join(', ')}`);
+  }
+
+  return factory({ ...(baseUrl && { baseUrl }), script: stubScript, http: { ...retry, onRetry } });
+}
@@ -0,0 +1,69 @@
+/**
+ * OpenAI Responses API provider (also any server exposing /v1/responses).
+ */
+
+import { readEvents } from './sse.js';
+import { postJson, ModelApiError } from './http.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+const toUsage = (usage) => usage && {
+  inputTokens: usage.input_tokens,
+  outputTokens: usage.output_tokens,
+  cachedTokens: usage.input_tokens_details?.cached_tokens ?? 0,
+  reasoningTokens: usage.output_tokens_details?.reasoning_tokens ?? 0,
+};
+
+async function readStream(response, { onTextDelta, onToolCall }) {
+  for await (const event of readEvents(response)) {
+    switch (event.type) {
+      case 'response.output_text.delta':
+        onTextDelta?.(event.delta);
+        break;
+      case 'response.output_item.done':
+        if (event.item.type === 'function_call') onToolCall?.(event.item);
+        break;
+      case 'response.completed':
+        return event.response;
+      case 'response.failed':
+        throw new ModelApiError(event.response.error?.message ?? 'Response failed');
+      case 'error':
+        throw new ModelApiError(event.message);
+    }
+  }
+  throw new ModelApiError('Stream ended before response.completed', { kind: 'network' });
+}
+
+export function createResponsesProvider({ baseUrl = DEFAULT_BASE_URL, http } = {}) {
+  return {
+    name: 'responses',
+
+    async complete({ apiKey, model, instructions, input, tools, stream = false, onTextDelta, onToolCall, signal }) {
+      const result = await postJson(`${baseUrl}/responses`, {
+        headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+        body: {
+          model,
+          instructions,
+          input,
+          tools,
+          ...(stream && { stream: true })
+        },
+        stream,
+        signal
+      }, http);
+
+      if (stream) {
+        // Some compatible servers ignore `stream` and answer with plain JSON
+        const data = result.headers.get('content-type')?.includes('text/event-stream')
+          ? await readStream(result, { onTextDelta, onToolCall })
+          : await result.json();
+        return { output: data.output, responseId: data.id, usage: toUsage(data.usage) };
+      }
+
+      const data = result;
+      if (data.error) throw new ModelApiError(data.error.message);
+
+      return { output: data.output, responseId: data.id, usage: toUsage(data.usage) };
+    },
+  };
+}
@@ -0,0 +1,30 @@
+/**
+ * Minimal Server-Sent Events reader for streaming API responses.
+ */
+
+/**
+ * Yield parsed JSON payloads of `data:` lines from a fetch Response body.
+ */
+export async function* readEvents(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    // Normalized on the whole buffer, so a CRLF split across two chunks still becomes one \n
+    buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = block
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+
+      if (data && data !== '[DONE]') yield JSON.parse(data);
+    }
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Scripted stub provider - replays canned outputs without touching the network.
+ *
+ * The script is a JSON array (or a path to a JSON file), one entry per completion:
+ *   { "text": "Final answer" }
+ *   { "toolCalls": [{ "name": "fs_read", "arguments": { "path": "." } }] }
+ *   { "output": [ ...raw Responses API output items ] }
+ *
+ * Any entry may also carry a normalized "usage" object ({ inputTokens, outputTokens, ... }).
+ */
+
+import { readFileSync } from 'node:fs';
+
+function loadScript(script) {
+  if (Array.isArray(script)) return script;
+  if (!script) throw new Error('Stub provider requires a script (set LLM_STUB_SCRIPT)');
+  return JSON.parse(readFileSync(script, 'utf8'));
+}
+
+function toOutput(step, index) {
+  if (step.output) return step.output;
+
+  const output = (step.toolCalls ?? []).map((call, i) => ({
+    type: 'function_call',
+    call_id: call.id ?? `stub_call_${index}_${i}`,
+    name: call.name,
+    arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments ?? {}),
+  }));
+
+  if (step.text) {
+    output.unshift({ type: 'message', role: 'assistant', content: [{ type: 'output_text', text: step.text }] });
+  }
+  return output;
+}
+
+export function createStubProvider({ script } = {}) {
+  const steps = loadScript(script);
+  let cursor = 0;
+
+  return {
+    name: 'stub',
+
+    async complete({ stream = false, onTextDelta, onToolCall, signal } = {}) {
+      signal?.throwIfAborted();
+      if (cursor >= steps.length) {
+        throw new Error(`Stub script exhausted after ${steps.length} completions`);
+      }
+      const index = cursor++;
+      const output = toOutput(steps[index], index);
+
+      // Emit the same callbacks a streaming provider would, so that path is exercised too
+      if (stream) {
+        for (const item of output) {
+          if (item.type === 'message') onTextDelta?.(item.content.map(part => part.text).join(''));
+          if (item.type === 'function_call') onToolCall?.(item);
+        }
+      }
+      return { output, responseId: `stub_resp_${index}`, usage: steps[index].usage };
+    },
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * Tool call scheduler - runs one iteration's calls as parallel as is safe.
+ *
+ * Each call is described by its tool's execution policy { readOnly, exclusive, paths(args) }:
+ * - calls touching overlapping paths wait for each other when at least one of them writes
+ *   (a read of "." overlaps every write, a write to "a.md" blocks a later read of "a.md")
+ * - exclusive calls wait for everything before them and block everything after them
+ * - tools without a policy count as writing to the whole workspace
+ * - anything else runs in parallel
+ * Conflicting calls keep the order the model emitted them in; results are returned in call order.
+ */
+
+import path from 'node:path';
+
+// Private helpers
+const normalizePath = (p) => {
+  const normalized = path.posix.normalize(String(p).trim().replaceAll('\\', '/'));
+  return normalized === '.' || normalized === '/' ? '' : normalized.replace(/^\.\//, '').replace(/\/$/, '');
+};
+
+// Equal paths, or one is a directory containing the other ('' is the workspace root)
+const overlaps = (a, b) => a === b || a === '' || b === '' || b.startsWith(`${a}/`) || a.startsWith(`${b}/`);
+
+const conflicts = (x, y) =>
+  (!x.readOnly || !y.readOnly) && x.paths.some(p => y.paths.some(q => overlaps(p, q)));
+
+function describe({ call, args, output }, getExecution) {
+  // Calls that already have an output (denied, invalid) never run
+  if (output || !getExecution) return { readOnly: true, exclusive: false, paths: [] };
+
+  const { readOnly = false, exclusive = false, paths } = getExecution(call.name);
+  // A tool that may write without saying where (plugins, MCP tools) conflicts with every path
+  if (!readOnly && !paths) return { readOnly, exclusive, paths: [''] };
+
+  let touched = [];
+  try {
+    touched = (paths?.(args) ?? []).filter(p => typeof p === 'string').map(normalizePath);
+  } catch {
+    // Paths of malformed arguments are unknown; validation will reject the call anyway
+  }
+  return { readOnly, exclusive, paths: touched };
+}
+
+// Public API
+
+/**
+ * Run prepared calls with `run(prepared)`, honoring path conflicts and exclusive tools.
+ * `getExecution(name)` returns the tool's execution policy.
+ */
+export async function runScheduled(prepared, run, getExecution) {
+  const described = prepared.map(p => describe(p, getExecution));
+  const tasks = [];
+
+  described.forEach((current, i) => {
+    const waitFor = tasks.filter((_, j) =>
+      current.exclusive || described[j].exclusive || conflicts(current, described[j])
+    );
+    // A failed predecessor must not block the calls waiting for it
+    tasks.push(Promise.allSettled(waitFor).then(() => run(prepared[i])));
+  });
+
+  return Promise.all(tasks);
+}
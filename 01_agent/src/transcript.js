@@ -0,0 +1,60 @@
+/**
+ * JSONL transcripts - an append-only audit trail of a session.
+ *
+ * One event per line: { ts, type, ...data } where type is one of
+ * user_input, model_output, tool_call, injection, tool_result, turn_end, turn_error.
+ */
+
+import { appendFile, mkdir, readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { CONFIG } from './config.js';
+
+export const transcriptsDir = () => join(CONFIG.workspace.dataDir, 'transcripts');
+
+/**
+ * Create a transcript writer for a session. Writes are queued so lines never interleave;
+ * a failing disk only produces a warning, it never stops the agent.
+ */
+export function createTranscript(sessionId) {
+  const path = join(transcriptsDir(), `${sessionId}.jsonl`);
+  let warned = false;
+
+  const warn = (err) => {
+    if (warned) return;
+    warned = true;
+    console.error(`Transcript write failed (${path}): ${err.message}`);
+  };
+
+  let queue = mkdir(transcriptsDir(), { recursive: true }).catch(warn);
+
+  return {
+    path,
+
+    record(type, data = {}) {
+      const line = JSON.stringify({ ts: new Date().toISOString(), type, ...data }) + '\n';
+      queue = queue.then(() => appendFile(path, line, 'utf8')).catch(warn);
+    },
+
+    flush: () => queue,
+  };
+}
+
+/**
+ * Read a transcript into a list of events. Accepts a session id or a file path.
+ */
+export async function readTranscript(idOrPath) {
+  const path = idOrPath.endsWith('.jsonl') ? idOrPath : join(transcriptsDir(), `${idOrPath}.jsonl`);
+
+  let content;
+  try {
+    content = await readFile(path, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new Error(`Transcript not found: ${path}`);
+    throw err;
+  }
+
+  return content
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
@@ -0,0 +1,64 @@
+/**
+ * Token usage and cost accounting.
+ *
+ * Providers report usage normalized to { inputTokens, outputTokens, cachedTokens, reasoningTokens }.
+ * Cached tokens are a subset of input tokens, reasoning tokens a subset of output tokens.
+ */
+
+import { CONFIG } from './config.js';
+
+export const emptyUsage = () => ({
+  requests: 0, inputTokens: 0, outputTokens: 0, cachedTokens: 0, reasoningTokens: 0,
+});
+
+/**
+ * Add one request's usage to a running total (mutates the total).
+ */
+export function addUsage(total, usage) {
+  if (!usage) return total;
+  total.requests += 1;
+  total.inputTokens += usage.inputTokens ?? 0;
+  total.outputTokens += usage.outputTokens ?? 0;
+  total.cachedTokens += usage.cachedTokens ?? 0;
+  total.reasoningTokens += usage.reasoningTokens ?? 0;
+  return total;
+}
+
+/**
+ * Estimated cost in USD, or null when the model has no pricing entry.
+ */
+export function estimateCost(usage, model) {
+  const price = CONFIG.pricing[model];
+  if (!price) return null;
+
+  const uncached = usage.inputTokens - usage.cachedTokens;
+  const cachedPrice = price.cachedInput ?? price.input;
+  return (uncached * price.input + usage.cachedTokens * cachedPrice + usage.outputTokens * price.output) / 1_000_000;
+}
+
+/**
+ * A cost budget cannot be enforced for a model without pricing.
+ * Returns the reason when CONFIG.budget.maxCostUsd is set but `model` has no CONFIG.pricing entry.
+ */
+export function checkPricing(model) {
+  if (!CONFIG.budget.maxCostUsd || CONFIG.pricing[model]) return null;
+  return `AGENT_MAX_COST_USD is set, but model "${model}" has no entry in CONFIG.pricing, so the cost budget cannot be enforced. Add its prices or unset the budget.`;
+}
+
+/**
+ * Check a session total against CONFIG.budget. Returns a reason string when exceeded.
+ */
+export function checkBudget(usage, model) {
+  const { maxTokens, maxCostUsd } = CONFIG.budget;
+  const tokens = usage.inputTokens + usage.outputTokens;
+
+  if (maxTokens && tokens >= maxTokens) {
+    return `Token budget exceeded (${tokens}/${maxTokens})`;
+  }
+
+  const cost = estimateCost(usage, model);
+  if (maxCostUsd && cost !== null && cost >= maxCostUsd) {
+    return `Cost budget exceeded ($${cost.toFixed(4)}/$${maxCostUsd})`;
+  }
+  return null;
+}
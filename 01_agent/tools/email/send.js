@@ -4,6 +4,7 @@
 
 import * as resend from './lib/resend-client.js';
 import { CONFIG } from '../../src/config.js';
+import { z, defineTool } from '../schema.js';
 
 /**
  * Check if a recipient email is allowed by the whitelist.
@@ -42,8 +43,22 @@ function validateRecipients(recipients, allowedList) {
   return { valid: true };
 }
 
-export const schema = {
-  type: 'function',
+export const input = z.object({
+  to: z.union([
+    z.string().describe('Single email address'),
+    z.array(z.string()).max(50).describe('Array of email addresses (max 50)'),
+  ]).optional().describe('Recipient email(s) for individual send'),
+  segment: z.string().optional().describe('Segment name for broadcast (sends to all contacts in segment)'),
+  body: z.string().optional().describe('Email content. Use \\n\\n between paragraphs. Supports {{{FIRST_NAME}}} personalization'),
+  subject: z.string().optional().describe('Email subject line (required for broadcast)'),
+  from_name: z.string().optional().describe('Sender display name'),
+  reply_to: z.string().optional().describe('Reply-to email address'),
+  schedule_for: z.string().optional().describe('Schedule send time. ISO 8601 or natural language ("in 30 minutes")'),
+  template: z.string().optional().describe('Template ID/alias to use instead of body'),
+  variables: z.record(z.string(), z.unknown()).optional().describe('Variables to inject into template'),
+});
+
+export const schema = defineTool({
   name: 'send',
   description: `Send email to individuals or broadcast to a segment.
 
@@ -52,51 +67,14 @@ MODES:
 - Broadcast: use "segment" to send to all contacts in a segment
 
 Content: provide "body" (text/HTML) or "template" (template ID)`,
-  parameters: {
-    type: 'object',
-    properties: {
-      to: {
-        oneOf: [
-          { type: 'string', description: 'Single email address' },
-          { type: 'array', items: { type: 'string' }, description: 'Array of email addresses (max 50)' },
-        ],
-        description: 'Recipient email(s) for individual send',
-      },
-      segment: {
-        type: 'string',
-        description: 'Segment name for broadcast (sends to all contacts in segment)',
-      },
-      body: {
-        type: 'string',
-        description: 'Email content. Use \\n\\n between paragraphs. Supports {{{FIRST_NAME}}} personalization',
-      },
-      subject: {
-        type: 'string',
-        description: 'Email subject line (required for broadcast)',
-      },
-      from_name: {
-        type: 'string',
-        description: 'Sender display name',
-      },
-      reply_to: {
-        type: 'string',
-        description: 'Reply-to email address',
-      },
-      schedule_for: {
-        type: 'string',
-        description: 'Schedule send time. ISO 8601 or natural language ("in 30 minutes")',
-      },
-      template: {
-        type: 'string',
-        description: 'Template ID/alias to use instead of body',
-      },
-      variables: {
-        type: 'object',
-        description: 'Variables to inject into template',
-      },
-    },
-  },
-};
+  input,
+});
+
+// HTML bodies can embed referenced images as data URIs
+export const references = { binary: 'data-uri' };
+
+// References are injected before the call runs, so sending never touches workspace files
+export const execution = { readOnly: true, paths: () => [] };
 
 function hasHtmlTags(text) {
   return /<[a-z][\s\S]*>/i.test(text);
@@ -9,7 +9,9 @@ import {
   getWorkspaceRoot,
   isTextFile,
   matchesType,
+  matchesGlob,
   shouldExclude,
+  listTypeAliases,
   createIgnoreMatcherForDir,
   generateChecksum,
   addLineNumbers,
@@ -20,64 +22,76 @@ import {
   isPresetPattern,
   searchFiles,
   tryAutoResolve,
+  isGlobPattern,
+  globBase,
+  listGlobFiles,
+  searchIndex,
+  rankFiles,
+  semanticSearch,
+  tokenize,
+  containsAllTokens,
 } from './lib/index.js';
-
-export const schema = {
-  type: 'function',
+import { z, defineTool } from '../schema.js';
+
+export const input = z.object({
+  path: z.string().optional().describe('Relative path to file or directory, or a glob to read all matching files (with find/pattern/preset: only search those files)'),
+  paths: z.array(z.string()).min(1).optional()
+    .describe('Read several files in one call: relative paths or globs (e.g. ["notes/a.md", "meetings/2026-*.md"]). `lines` applies to every file'),
+  pattern: z.string().optional().describe('Search pattern to find within files'),
+  preset: z.enum(['wikilinks', 'tags', 'tasks', 'tasks_open', 'tasks_done', 'headings', 'codeblocks', 'frontmatter'])
+    .optional().describe('Preset pattern for common Markdown searches'),
+  patternMode: z.enum(['literal', 'regex', 'fuzzy', 'tokens', 'rank', 'semantic']).optional()
+    .describe('How to interpret pattern: literal text, regex, fuzzy (any whitespace), tokens (all words, any order, whole words, any case), rank (most relevant files first) or semantic (Markdown sections closest in meaning). Default: literal'),
+  find: z.string().optional().describe('Fuzzy find files by name'),
+  lines: z.string().optional().describe('Limit file reading to specific lines. Format: "10" or "10-50"'),
+  depth: z.number().int().min(0).optional().describe('Directory traversal depth. Default: 1 for listing, 5 for search'),
+  context: z.number().int().min(0).optional().describe('Lines of context around search matches. Default: 3'),
+  top: z.number().int().min(1).optional().describe('Number of files (rank) or sections (semantic) to return. Default: 10'),
+  include: z.array(z.string()).optional().describe('Only files matching one of these globs, relative to the workspace (e.g. "notes/**/*.md")'),
+  exclude: z.array(z.string()).optional().describe('Skip files and directories matching these globs (e.g. "archive/**", "**/*.log")'),
+  types: z.array(z.string()).optional()
+    .describe(`Only these file types: ${listTypeAliases().join(', ')}, or extensions such as ".csv"`),
+  caseInsensitive: z.boolean().optional().describe('Ignore case in literal, regex and fuzzy searches. Default: false'),
+  maxMatches: z.number().int().min(1).optional().describe('Maximum search matches or find results. Default: 100 for search, 50 for find'),
+}).refine(args => args.path !== undefined || args.paths !== undefined, { message: 'Either path or paths is required' });
+
+export const schema = defineTool({
   name: 'fs_read',
   description: `Read files, list directories, find files by name, or search content.
 
 MODES:
 1. DIRECTORY - path to directory: returns tree structure
 2. FILE - path to file: returns content with line numbers and checksum
+   paths (or a glob in path) reads several files at once, each with its checksum, within a total size budget
 3. FIND - path + find: fuzzy search for files by name
 4. SEARCH - path + pattern/preset: search content in files
+   a glob in path (e.g. "notes/*.md") limits find and search to the matching files
+   patternMode "rank" returns the most relevant files (BM25, headings and titles weigh more) with their best lines
+   patternMode "semantic" returns the Markdown sections closest in meaning to the pattern, with line ranges
 
 Examples:
 - { "path": "." } - list workspace root
 - { "path": "src/index.js" } - read file
+- { "paths": ["notes/plan.md", "meetings/*.md"] } - read related files together
 - { "path": ".", "find": "config" } - find files named config
-- { "path": ".", "pattern": "TODO" } - search for TODO in all files`,
-  parameters: {
-    type: 'object',
-    properties: {
-      path: {
-        type: 'string',
-        description: 'Relative path to file or directory',
-      },
-      pattern: {
-        type: 'string',
-        description: 'Search pattern to find within files',
-      },
-      preset: {
-        type: 'string',
-        enum: ['wikilinks', 'tags', 'tasks', 'tasks_open', 'tasks_done', 'headings', 'codeblocks', 'frontmatter'],
-        description: 'Preset pattern for common Markdown searches',
-      },
-      patternMode: {
-        type: 'string',
-        enum: ['literal', 'regex', 'fuzzy'],
-        description: 'How to interpret pattern. Default: literal',
-      },
-      find: {
-        type: 'string',
-        description: 'Fuzzy find files by name',
-      },
-      lines: {
-        type: 'string',
-        description: 'Limit file reading to specific lines. Format: "10" or "10-50"',
-      },
-      depth: {
-        type: 'number',
-        description: 'Directory traversal depth. Default: 1 for listing, 5 for search',
-      },
-      context: {
-        type: 'number',
-        description: 'Lines of context around search matches. Default: 3',
-      },
-    },
-    required: ['path'],
-  },
+- { "path": ".", "pattern": "TODO" } - search for TODO in all files
+- { "path": ".", "pattern": "todo", "caseInsensitive": true, "types": ["md"], "exclude": ["archive/**"] } - filtered search
+- { "path": ".", "pattern": "budget review", "patternMode": "tokens" } - files mentioning both words
+- { "path": ".", "pattern": "quarterly budget", "patternMode": "rank" } - which notes are about the budget
+- { "path": "notes", "pattern": "how do we handle travel costs?", "patternMode": "semantic" } - sections on a topic`,
+  input,
+});
+
+// Reads run in parallel, but wait for earlier writes to the same path (a glob to anything under its base)
+export const execution = {
+  readOnly: true,
+  paths: (args) => (args.paths ?? [args.path]).map(p => isGlobPattern(p) ? globBase(p) : p),
+};
+
+// Batch reads (paths or a glob): at most this many files, and this much numbered text in total
+export const settings = {
+  batchMaxFiles: 20,
+  batchMaxBytes: 48 * 1024,
 };
 
 function formatSize(bytes) {
@@ -86,6 +100,17 @@ function formatSize(bytes) {
   return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
 }
 
+// exclude also applies to directories (and everything in them); include and types only to files
+const isExcluded = (relPath, options) => Boolean(options.exclude?.length) && relPath.split('/')
+  .some((_, i, parts) => shouldExclude(parts.slice(0, i + 1).join('/'), options.exclude));
+
+function matchesFileFilters(relPath, options) {
+  if (isExcluded(relPath, options)) return false;
+  if (options.include?.length && !options.include.some(pattern => matchesGlob(relPath, pattern))) return false;
+  if (options.pathGlob && !matchesGlob(relPath, options.pathGlob)) return false;
+  return !options.types?.length || matchesType(relPath, options.types);
+}
+
 async function listDirectory(absPath, relativePath, depth, options) {
   const entries = [];
   let truncated = false;
@@ -137,7 +162,7 @@ async function listDirectory(absPath, relativePath, depth, options) {
             await walk(itemPath, itemRelPath, currentDepth + 1);
           }
         } else if (stat.isFile()) {
-          if (options.types?.length && !matchesType(item, options.types)) continue;
+          if (!matchesFileFilters(itemRelPath, options)) continue;
 
           entries.push({
             path: itemRelPath,
@@ -228,40 +253,27 @@ async function readFile(absPath, relativePath, options) {
   };
 }
 
-async function searchInSingleFile(absPath, relativePath, searchPattern, options) {
-  const context = options.context ?? 3;
-  const maxMatches = options.maxMatches ?? 100;
-  const isPreset = options.isPreset;
-
-  if (!isTextFile(absPath)) {
-    return {
-      success: false,
-      path: relativePath,
-      type: 'search',
-      error: { code: 'NOT_TEXT', message: 'Cannot search in binary files' },
-    };
-  }
+// Matches in one file, each with `context` numbered lines before and after
+function collectMatches(content, file, searchPattern, options, maxMatches) {
+  // Token searches only match files with all the words, whichever way the file was found
+  if (options.patternMode === 'tokens' && !options.anyWord && !containsAllTokens(content, searchPattern)) return [];
 
-  const content = await fs.readFile(absPath, 'utf8');
+  const context = options.context ?? 3;
   const lines = content.split('\n');
-  const matches = [];
 
-  let fileMatches;
-  if (isPreset && isPresetPattern(searchPattern)) {
-    fileMatches = findPresetMatches(content, searchPattern, { maxMatches });
-  } else {
-    fileMatches = findMatches(content, searchPattern, options.patternMode ?? 'literal', {
+  const fileMatches = options.isPreset && isPresetPattern(searchPattern)
+    ? findPresetMatches(content, searchPattern, { maxMatches })
+    : findMatches(content, searchPattern, options.patternMode ?? 'literal', {
       caseInsensitive: options.caseInsensitive,
       maxMatches,
     });
-  }
 
-  for (const match of fileMatches) {
+  return fileMatches.map((match) => {
     const beforeStart = Math.max(0, match.line - 1 - context);
     const afterEnd = Math.min(lines.length, match.line + context);
 
-    matches.push({
-      file: relativePath,
+    return {
+      file,
       line: match.line,
       text: match.text,
       context: {
@@ -269,32 +281,81 @@ async function searchInSingleFile(absPath, relativePath, searchPattern, options)
         match: [`${match.line}|${lines[match.line - 1]}`],
         after: lines.slice(match.line, afterEnd).map((l, i) => `${match.line + i + 1}|${l}`),
       },
-    });
-  }
+    };
+  });
+}
+
+// Searches collect one match more than maxMatches to tell whether the results were capped
+function searchResult(relativePath, searchPattern, matches, maxMatches) {
+  const truncated = matches.length > maxMatches;
+  const shown = matches.slice(0, maxMatches);
+
+  let hint = `Found ${shown.length} matches`;
+  if (shown.length === 0) hint = `No matches found for "${searchPattern}"`;
+  if (truncated) hint = `Showing the first ${maxMatches} matches (maxMatches). Narrow the search with path, include, exclude or types, or raise maxMatches.`;
 
   return {
     success: true,
     path: relativePath,
     type: 'search',
-    matches,
-    matchCount: matches.length,
-    hint: matches.length === 0
-      ? `No matches found for "${searchPattern}"`
-      : `Found ${matches.length} matches`,
+    matches: shown,
+    matchCount: shown.length,
+    truncated,
+    hint,
   };
 }
 
+async function searchInSingleFile(absPath, relativePath, searchPattern, options) {
+  if (!isTextFile(absPath)) {
+    return {
+      success: false,
+      path: relativePath,
+      type: 'search',
+      error: { code: 'NOT_TEXT', message: 'Cannot search in binary files' },
+    };
+  }
+
+  const maxMatches = options.maxMatches ?? 100;
+  const content = await fs.readFile(absPath, 'utf8');
+  const matches = collectMatches(content, relativePath, searchPattern, options, maxMatches + 1);
+  return searchResult(relativePath, searchPattern, matches, maxMatches);
+}
+
+// A broken index falls back to scanning; warned about once so a persistent failure isn't silent
+let indexWarned = false;
+
+// Literal, fuzzy and token searches only read the files the index says can match;
+// regex and presets can match anything, so they walk and read the whole tree
+async function indexCandidates(relativePath, searchPattern, options) {
+  const mode = options.patternMode ?? 'literal';
+  if (options.isPreset || mode === 'regex') return null;
+
+  try {
+    return await searchIndex(relativePath, searchPattern, { mode, depth: options.depth ?? 5 });
+  } catch (err) {
+    if (!indexWarned) {
+      indexWarned = true;
+      console.error(`Search index unavailable, scanning files instead: ${err.message}`);
+    }
+    return null;
+  }
+}
+
 async function searchInDirectory(absPath, relativePath, searchPattern, options) {
   const matches = [];
-  const context = options.context ?? 3;
   const maxMatches = options.maxMatches ?? 100;
+  const limit = maxMatches + 1;
   const depth = options.depth ?? 5;
-  const isPreset = options.isPreset;
 
   const ignoreMatcher = options.respectIgnore !== false ? await createIgnoreMatcherForDir(absPath) : null;
 
+  async function searchFile(filePath, relPath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    matches.push(...collectMatches(content, relPath, searchPattern, options, limit - matches.length));
+  }
+
   async function walk(dir, relDir, currentDepth) {
-    if (currentDepth > depth || matches.length >= maxMatches) return;
+    if (currentDepth > depth || matches.length >= limit) return;
 
     let items;
     try {
@@ -304,68 +365,274 @@ async function searchInDirectory(absPath, relativePath, searchPattern, options)
     }
 
     for (const item of items) {
-      if (matches.length >= maxMatches) break;
+      if (matches.length >= limit) break;
 
       const itemPath = path.join(dir, item);
       const itemRelPath = relDir ? path.join(relDir, item) : item;
 
       if (ignoreMatcher?.isIgnored(itemRelPath)) continue;
+      if (isExcluded(itemRelPath, options)) continue;
 
       try {
         const stat = await fs.stat(itemPath);
 
         if (stat.isDirectory()) {
           await walk(itemPath, itemRelPath, currentDepth + 1);
-        } else if (stat.isFile() && isTextFile(itemPath)) {
-          const content = await fs.readFile(itemPath, 'utf8');
-          const lines = content.split('\n');
-
-          let fileMatches;
-          if (isPreset && isPresetPattern(searchPattern)) {
-            fileMatches = findPresetMatches(content, searchPattern, { maxMatches: maxMatches - matches.length });
-          } else {
-            fileMatches = findMatches(content, searchPattern, options.patternMode ?? 'literal', {
-              caseInsensitive: options.caseInsensitive,
-              maxMatches: maxMatches - matches.length,
-            });
-          }
-
-          for (const match of fileMatches) {
-            const beforeStart = Math.max(0, match.line - 1 - context);
-            const afterEnd = Math.min(lines.length, match.line + context);
-
-            matches.push({
-              file: itemRelPath,
-              line: match.line,
-              text: match.text,
-              context: {
-                before: lines.slice(beforeStart, match.line - 1).map((l, i) => `${beforeStart + i + 1}|${l}`),
-                match: [`${match.line}|${lines[match.line - 1]}`],
-                after: lines.slice(match.line, afterEnd).map((l, i) => `${match.line + i + 1}|${l}`),
-              },
-            });
-          }
+        } else if (stat.isFile() && isTextFile(itemPath) && matchesFileFilters(itemRelPath, options)) {
+          await searchFile(itemPath, itemRelPath);
         }
       } catch {}
     }
   }
 
-  await walk(absPath, relativePath === '.' ? '' : relativePath, 1);
+  const candidates = await indexCandidates(relativePath, searchPattern, options);
+  if (candidates) {
+    for (const file of candidates) {
+      if (matches.length >= limit) break;
+      if (ignoreMatcher?.isIgnored(file) || !matchesFileFilters(file, options)) continue;
+
+      try {
+        await searchFile(path.join(getWorkspaceRoot(), file), file);
+      } catch {}
+    }
+  } else {
+    await walk(absPath, relativePath === '.' ? '' : relativePath, 1);
+  }
+
+  return searchResult(relativePath, searchPattern, matches, maxMatches);
+}
+
+// Lines with the most distinct query words (then most occurrences), in file order
+function bestSnippets(content, words, count = 3) {
+  return content.split('\n')
+    .map((text, i) => {
+      const tokens = tokenize(text).filter(token => words.has(token));
+      return { line: i + 1, text, distinct: new Set(tokens).size, hits: tokens.length };
+    })
+    .filter(line => line.hits > 0)
+    .sort((a, b) => b.distinct - a.distinct || b.hits - a.hits || a.line - b.line)
+    .slice(0, count)
+    .sort((a, b) => a.line - b.line)
+    .map(line => `${line.line}|${line.text}`);
+}
+
+async function rankInDirectory(relativePath, query, options) {
+  const ranked = await rankFiles(relativePath, query, {
+    depth: options.depth ?? 5,
+    limit: options.top ?? 10,
+    filter: relPath => matchesFileFilters(relPath, options),
+  });
+  if (!ranked) {
+    return {
+      success: false,
+      path: relativePath,
+      type: 'search',
+      error: { code: 'NOT_INDEXED', message: `Ranked search is not available in ignored directories: ${relativePath}` },
+      hint: 'Use patternMode "literal" or "regex" to scan it instead.',
+    };
+  }
+
+  const words = new Set(tokenize(query));
+  const results = [];
+  for (const { file, score } of ranked.results) {
+    try {
+      const content = await fs.readFile(path.join(getWorkspaceRoot(), file), 'utf8');
+      results.push({ file, score, snippets: bestSnippets(content, words) });
+    } catch {}
+  }
+
+  return {
+    success: true,
+    path: relativePath,
+    type: 'search',
+    mode: 'rank',
+    results,
+    matchCount: ranked.total,
+    hint: results.length === 0
+      ? `No files mention any word of "${query}"`
+      : `Top ${results.length} of ${ranked.total} matching files, most relevant first. Read a file with fs_read for details.`,
+  };
+}
+
+async function semanticInDirectory(relativePath, query, options) {
+  let found;
+  try {
+    found = await semanticSearch(relativePath, query, {
+      depth: options.depth ?? 5,
+      limit: options.top ?? 10,
+      filter: relPath => matchesFileFilters(relPath, options),
+      signal: options.signal,
+    });
+  } catch (e) {
+    if (options.signal?.aborted) throw e;
+    return {
+      success: false,
+      path: relativePath,
+      type: 'search',
+      error: { code: 'EMBEDDING_FAILED', message: e.message },
+      hint: 'Check the embedding provider settings, or use patternMode "rank" instead.',
+    };
+  }
+
+  if (!found) {
+    return {
+      success: false,
+      path: relativePath,
+      type: 'search',
+      error: { code: 'NOT_INDEXED', message: `Semantic search is not available in ignored directories: ${relativePath}` },
+      hint: 'Use patternMode "literal" or "regex" to scan it instead.',
+    };
+  }
+
+  const PREVIEW_LINES = 5;
+  const results = [];
+  for (const { file, line, endLine, heading, score } of found.results) {
+    try {
+      const content = await fs.readFile(path.join(getWorkspaceRoot(), file), 'utf8');
+      const preview = extractLines(content, line, Math.min(endLine, line + PREVIEW_LINES - 1));
+      results.push({ file, lines: `${line}-${endLine}`, heading, score, preview: addLineNumbers(preview.text, line).split('\n') });
+    } catch {}
+  }
 
   return {
     success: true,
     path: relativePath,
     type: 'search',
-    matches,
-    matchCount: matches.length,
-    hint: matches.length === 0
-      ? `No matches found for "${searchPattern}"`
-      : `Found ${matches.length} matches`,
+    mode: 'semantic',
+    results,
+    matchCount: results.length,
+    hint: found.sections === 0 ? 'No Markdown files to search'
+      : results.length === 0 ? `No sections are close to "${query}"; try other words or patternMode "rank".`
+      : `Closest ${results.length} sections, best first; weak matches are left out${found.embedded ? ` (embedded ${found.embedded} changed files)` : ''}. Read a section with fs_read lines="${results[0].lines}".`,
   };
 }
 
-export async function execute(args) {
-  const resolved = resolvePath(args.path);
+// Paths and each glob's files (text only) in the order given, read once each; globs that fail become error results
+async function expandPaths(patterns) {
+  const entries = [];
+  const seen = new Set();
+  const add = (file) => {
+    if (seen.has(file)) return;
+    seen.add(file);
+    entries.push({ file });
+  };
+
+  for (const pattern of patterns) {
+    if (!isGlobPattern(pattern)) {
+      add(pattern);
+      continue;
+    }
+
+    try {
+      const matched = (await listGlobFiles(getWorkspaceRoot(), pattern)).filter(isTextFile);
+      if (matched.length === 0) {
+        entries.push({ error: { success: false, path: pattern, error: { code: 'NO_MATCH', message: `No text files match: ${pattern}` } } });
+      }
+      matched.forEach(add);
+    } catch (e) {
+      entries.push({ error: { success: false, path: pattern, error: { code: 'INVALID_PATH', message: e.message } } });
+    }
+  }
+  return entries;
+}
+
+// Keep the whole numbered lines that fit in `maxBytes`; returns how many were kept
+function cutToBudget(result, maxBytes) {
+  const lines = result.content.text.split('\n');
+  let bytes = 0;
+  let kept = 0;
+  while (kept < lines.length && bytes + Buffer.byteLength(lines[kept], 'utf8') + 1 <= maxBytes) {
+    bytes += Buffer.byteLength(lines[kept], 'utf8') + 1;
+    kept++;
+  }
+
+  const start = result.content.range?.start ?? 1;
+  const end = start + kept - 1;
+  result.content.text = lines.slice(0, kept).join('\n');
+  result.content.range = { start, end };
+  result.content.truncated = true;
+  result.hint = `Cut at line ${end} by the batch size budget; read lines="${end + 1}-${end + 100}" of this file separately. Checksum: ${result.content.checksum}`;
+  return kept;
+}
+
+async function readFileEntry(file, options) {
+  const resolved = resolvePath(file);
+  if (!resolved.ok) {
+    return { success: false, path: file, error: { code: 'INVALID_PATH', message: resolved.error } };
+  }
+
+  const { absolutePath, virtualPath } = resolved.resolved;
+  const stat = await fs.stat(absolutePath).catch(() => null);
+  if (stat?.isDirectory()) {
+    return {
+      success: false,
+      path: virtualPath,
+      error: { code: 'IS_DIRECTORY', message: `Not a file: ${virtualPath}` },
+      hint: `Use a glob such as "${virtualPath}/*.md" to read the files in it.`,
+    };
+  }
+
+  return readFile(absolutePath, virtualPath, options);
+}
+
+async function readBatch(patterns, options, { batchMaxFiles, batchMaxBytes }) {
+  const results = [];
+  const omitted = [];
+  let remaining = batchMaxBytes;
+  let fileCount = 0;
+
+  for (const { file, error } of await expandPaths(patterns)) {
+    if (error) {
+      results.push(error);
+      continue;
+    }
+
+    fileCount++;
+    if (fileCount > batchMaxFiles || remaining <= 0) {
+      omitted.push(file);
+      continue;
+    }
+
+    const result = await readFileEntry(file, options);
+    if (result.success && Buffer.byteLength(result.content.text, 'utf8') > remaining && cutToBudget(result, remaining) === 0) {
+      omitted.push(result.path);
+      remaining = 0;
+      continue;
+    }
+    if (result.success) remaining -= Buffer.byteLength(result.content.text, 'utf8');
+    results.push(result);
+  }
+
+  const partial = results.some(r => r.content?.truncated);
+  let hint = `Read ${results.filter(r => r.success).length} of ${fileCount} files.`;
+  if (omitted.length > 0) {
+    hint += ` ${omitted.length} not read (batch limit of ${batchMaxFiles} files / ${batchMaxBytes} bytes); request them separately.`;
+  }
+  if (partial) hint += ' Some files are partial; see their hints for the lines left out.';
+
+  return {
+    success: true,
+    type: 'batch',
+    files: results,
+    ...(omitted.length > 0 && { omitted }),
+    truncated: omitted.length > 0 || partial,
+    hint,
+  };
+}
+
+export async function execute(args, { signal, settings: overrides } = {}) {
+  // With find or a search, a glob path only narrows the files they look at (on top of include)
+  const pathGlob = isGlobPattern(args.path) && (args.find || args.pattern || args.preset)
+    ? args.path.replace(/^\.\//, '')
+    : undefined;
+
+  // Several files at once
+  if (args.paths || (isGlobPattern(args.path) && !pathGlob)) {
+    const result = await readBatch(args.paths ?? [args.path], { lines: args.lines }, { ...settings, ...overrides });
+    return JSON.stringify(result);
+  }
+
+  const resolved = resolvePath(pathGlob ? globBase(pathGlob) : args.path);
   
   if (!resolved.ok) {
     return JSON.stringify({
@@ -377,6 +644,7 @@ export async function execute(args) {
 
   const { absolutePath, virtualPath } = resolved.resolved;
   const effectiveDepth = args.depth ?? (args.find || args.pattern || args.preset ? 5 : 1);
+  const filters = { include: args.include, exclude: args.exclude, types: args.types, pathGlob };
 
   let stat;
   try {
@@ -411,20 +679,28 @@ export async function execute(args) {
 
   // Find files by name
   if (args.find) {
-    const results = await searchFiles(absolutePath, args.find, {
-      maxResults: 50,
-      includeDirectories: true,
+    const maxResults = args.maxMatches ?? 50;
+    const fileFiltersOnly = Boolean(args.include?.length || args.types?.length);
+    const toWorkspacePath = (relPath) => virtualPath === '.' ? relPath : `${virtualPath}/${relPath}`;
+
+    const results = (await searchFiles(absolutePath, args.find, {
+      maxResults: Infinity,
+      includeDirectories: !fileFiltersOnly,
       maxDepth: effectiveDepth,
-    });
+    })).filter(r => r.isDirectory
+      ? !isExcluded(toWorkspacePath(r.relativePath), filters)
+      : matchesFileFilters(toWorkspacePath(r.relativePath), filters));
+    const truncated = results.length > maxResults;
 
     return JSON.stringify({
       success: true,
       path: virtualPath,
       type: 'directory',
       tree: {
-        entries: results.map(r => ({ path: r.relativePath, kind: r.isDirectory ? 'directory' : 'file' })),
-        summary: `Found ${results.length} items matching "${args.find}"`,
+        entries: results.slice(0, maxResults).map(r => ({ path: r.relativePath, kind: r.isDirectory ? 'directory' : 'file' })),
+        summary: `Found ${results.length} items matching "${args.find}"${truncated ? `, showing the best ${maxResults} (maxMatches)` : ''}`,
       },
+      truncated,
     });
   }
 
@@ -432,23 +708,37 @@ export async function execute(args) {
   const searchPattern = args.pattern ?? args.preset;
   if (searchPattern) {
     const searchOptions = {
+      ...filters,
       patternMode: args.patternMode,
       context: args.context,
       depth: effectiveDepth,
       isPreset: Boolean(args.preset),
+      caseInsensitive: args.caseInsensitive,
+      maxMatches: args.maxMatches,
     };
 
-    // Use appropriate search function based on file vs directory
-    const result = stat.isFile()
-      ? await searchInSingleFile(absolutePath, virtualPath, searchPattern, searchOptions)
-      : await searchInDirectory(absolutePath, virtualPath, searchPattern, searchOptions);
+    const ranked = ['rank', 'semantic'].includes(args.patternMode) && !args.preset;
+
+    // Use appropriate search function based on file vs directory; ranking a single file is a token search
+    // that matches any of the words
+    let result;
+    if (stat.isFile()) {
+      result = await searchInSingleFile(absolutePath, virtualPath, searchPattern,
+        ranked ? { ...searchOptions, patternMode: 'tokens', anyWord: true } : searchOptions);
+    } else if (ranked && args.patternMode === 'semantic') {
+      result = await semanticInDirectory(virtualPath, searchPattern, { ...searchOptions, top: args.top, signal });
+    } else if (ranked) {
+      result = await rankInDirectory(virtualPath, searchPattern, { ...searchOptions, top: args.top });
+    } else {
+      result = await searchInDirectory(absolutePath, virtualPath, searchPattern, searchOptions);
+    }
     
     return JSON.stringify(result);
   }
 
   // Directory listing
   if (stat.isDirectory()) {
-    const { entries, truncated } = await listDirectory(absolutePath, virtualPath, effectiveDepth, {});
+    const { entries, truncated } = await listDirectory(absolutePath, virtualPath, effectiveDepth, filters);
     
     const fileCount = entries.filter(e => e.kind === 'file').length;
     const dirCount = entries.filter(e => e.kind === 'directory').length;
@@ -6,6 +6,7 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 import {
   resolvePath,
+  isInDataDir,
   isTextFile,
   generateChecksum,
   generateDiff,
@@ -16,10 +17,24 @@ import {
   deleteLines,
   findUniqueMatch,
   replaceAllMatches,
+  updateIndexEntry,
 } from './lib/index.js';
-
-export const schema = {
-  type: 'function',
+import { z, defineTool } from '../schema.js';
+
+export const input = z.object({
+  path: z.string().describe('Relative path to the file'),
+  operation: z.enum(['create', 'update', 'delete']).describe('Operation type'),
+  action: z.enum(['replace', 'insert_before', 'insert_after', 'delete_lines']).optional().describe('Action for update operation'),
+  content: z.string().optional().describe('Content to write (required for create/replace/insert)'),
+  lines: z.string().optional().describe('Target lines for update. Format: "10" or "10-15"'),
+  pattern: z.string().optional().describe('Target content by pattern'),
+  patternMode: z.enum(['literal', 'regex', 'fuzzy']).optional().describe('Pattern interpretation mode'),
+  replaceAll: z.boolean().optional().describe('Replace all occurrences (not just first)'),
+  checksum: z.string().optional().describe('Expected checksum from previous fs_read'),
+  dryRun: z.boolean().optional().describe('Preview changes without applying'),
+});
+
+export const schema = defineTool({
   name: 'fs_write',
   description: `Create, modify, or delete files.
 
@@ -35,55 +50,14 @@ ACTIONS (for update):
 - delete_lines: Remove target lines
 
 SAFETY: Always use dryRun=true first to preview changes.`,
-  parameters: {
-    type: 'object',
-    properties: {
-      path: {
-        type: 'string',
-        description: 'Relative path to the file',
-      },
-      operation: {
-        type: 'string',
-        enum: ['create', 'update', 'delete'],
-        description: 'Operation type',
-      },
-      action: {
-        type: 'string',
-        enum: ['replace', 'insert_before', 'insert_after', 'delete_lines'],
-        description: 'Action for update operation',
-      },
-      content: {
-        type: 'string',
-        description: 'Content to write (required for create/replace/insert)',
-      },
-      lines: {
-        type: 'string',
-        description: 'Target lines for update. Format: "10" or "10-15"',
-      },
-      pattern: {
-        type: 'string',
-        description: 'Target content by pattern',
-      },
-      patternMode: {
-        type: 'string',
-        enum: ['literal', 'regex', 'fuzzy'],
-        description: 'Pattern interpretation mode',
-      },
-      replaceAll: {
-        type: 'boolean',
-        description: 'Replace all occurrences (not just first)',
-      },
-      checksum: {
-        type: 'string',
-        description: 'Expected checksum from previous fs_read',
-      },
-      dryRun: {
-        type: 'boolean',
-        description: 'Preview changes without applying',
-      },
-    },
-    required: ['path', 'operation'],
-  },
+  input,
+});
+
+// Writes to the same path are serialized in call order; dry runs skip approval
+export const execution = {
+  readOnly: false,
+  dryRun: true,
+  paths: (args) => [args.path],
 };
 
 async function fileExists(absPath) {
@@ -412,6 +386,17 @@ export async function execute(args) {
   }
 
   const { absolutePath, virtualPath } = resolved.resolved;
+
+  // Transcripts and indexes are the agent's own record; the model must not edit or delete them
+  if (isInDataDir(absolutePath)) {
+    return JSON.stringify({
+      success: false,
+      path: virtualPath,
+      error: { code: 'PROTECTED_PATH', message: `${virtualPath} is in the agent's data directory, which tools can read but not write` },
+      hint: 'Write the file somewhere else in the workspace.',
+    });
+  }
+
   let result;
 
   switch (args.operation) {
@@ -443,5 +428,10 @@ export async function execute(args) {
       };
   }
 
+  // Keep fs_read search current without waiting for the next mtime check
+  if (result.success && !args.dryRun) {
+    await updateIndexEntry(virtualPath).catch(() => {});
+  }
+
   return JSON.stringify(result);
 }
@@ -0,0 +1,111 @@
+/**
+ * Reference bundles - expand glob and directory @workspace: references
+ * (a glob over meetings/ or a directory such as meetings/2026-10/) into one document
+ * with a header per file.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { matchesGlob, isTextFile } from './filetypes.js';
+import { createIgnoreMatcherForDir } from './ignore.js';
+import { resolvePath } from './paths.js';
+import { generateChecksum } from './checksum.js';
+
+const MAX_DEPTH = 20;
+
+/**
+ * Check if a reference path is a glob pattern.
+ */
+export function isGlobPattern(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/**
+ * Directory part before the first glob segment ("meetings/2026-*" -> "meetings", "*.md" -> ".").
+ */
+export function globBase(pattern) {
+  const segments = pattern.split('/');
+  const firstGlob = segments.findIndex(isGlobPattern);
+  return segments.slice(0, firstGlob === -1 ? segments.length : firstGlob).join('/') || '.';
+}
+
+/**
+ * List workspace files matching a glob, sorted by path. Ignored and hidden files are skipped.
+ */
+export async function listGlobFiles(root, pattern) {
+  const base = resolvePath(globBase(pattern));
+  if (!base.ok) throw new Error(base.error);
+
+  const ignoreMatcher = await createIgnoreMatcherForDir(root);
+  const files = [];
+
+  const walk = async (dir, depth) => {
+    if (depth > MAX_DEPTH) return;
+
+    let items;
+    try {
+      items = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const item of items) {
+      const itemPath = path.join(dir, item.name);
+      const relPath = path.relative(root, itemPath).split(path.sep).join('/');
+      if (ignoreMatcher.isIgnored(relPath)) continue;
+
+      if (item.isDirectory()) await walk(itemPath, depth + 1);
+      else if (item.isFile() && matchesGlob(relPath, pattern)) files.push(relPath);
+    }
+  };
+
+  await walk(base.resolved.absolutePath, 0);
+  return files.sort();
+}
+
+/**
+ * Concatenate files into one document, each preceded by a "===== path (checksum) =====" header.
+ * Stops at `maxFiles` or `maxBytes` and says what was left out. Binary files are listed, not included.
+ * Returns { text, truncated, totalBytes } where totalBytes counts the text files that were read.
+ */
+export async function bundleFiles(root, files, { maxFiles, maxBytes }) {
+  const parts = [];
+  const skipped = [];
+  let bytes = 0;
+  let totalBytes = 0;
+  let included = 0;
+  let truncated = false;
+
+  for (const [i, file] of files.entries()) {
+    if (included >= maxFiles || bytes >= maxBytes) {
+      parts.push(`===== [${files.length - i} more file(s) omitted: limit of ${maxFiles} files / ${maxBytes} bytes reached] =====`);
+      truncated = true;
+      break;
+    }
+    if (!isTextFile(file)) {
+      skipped.push(file);
+      continue;
+    }
+
+    const content = await fs.readFile(path.join(root, file), 'utf8');
+    const checksum = generateChecksum(content);
+    const remaining = maxBytes - bytes;
+    const size = Buffer.byteLength(content, 'utf8');
+
+    totalBytes += size;
+
+    let body = content;
+    if (size > remaining) {
+      truncated = true;
+      body = Buffer.from(content, 'utf8').subarray(0, remaining).toString('utf8').replace(/\uFFFD$/, '')
+        + `\n[truncated: ${remaining} of ${size} bytes]`;
+    }
+
+    parts.push(`===== ${file} (checksum: ${checksum}) =====\n${body}`);
+    bytes += Math.min(size, remaining);
+    included++;
+  }
+
+  if (skipped.length > 0) parts.push(`===== [binary files not included: ${skipped.join(', ')}] =====`);
+  return { text: parts.join('\n\n'), truncated, totalBytes };
+}
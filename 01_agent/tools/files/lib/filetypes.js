@@ -74,6 +74,13 @@ export function isTextFile(filepath) {
   return false;
 }
 
+/**
+ * Type aliases accepted by matchesType (e.g. "md", "js", "doc").
+ */
+export function listTypeAliases() {
+  return Object.keys(TYPE_MAP);
+}
+
 /**
  * Get extensions for a type alias.
  */
@@ -105,12 +112,15 @@ export function matchesType(filepath, types) {
  * Check if a path matches a glob pattern.
  */
 export function matchesGlob(filepath, pattern) {
+  // "**/" also matches zero directories, so "notes/**/*.md" includes "notes/a.md"
   const regex = pattern
     .replace(/\./g, '\\.')
+    .replace(/\*\*\//g, '<<<GLOBSTAR_DIR>>>')
     .replace(/\*\*/g, '<<<GLOBSTAR>>>')
     .replace(/\*/g, '[^/]*')
-    .replace(/<<<GLOBSTAR>>>/g, '.*')
-    .replace(/\?/g, '.');
+    .replace(/\?/g, '.')
+    .replace(/<<<GLOBSTAR_DIR>>>/g, '(?:.*/)?')
+    .replace(/<<<GLOBSTAR>>>/g, '.*');
 
   return new RegExp(`^${regex}$`).test(filepath);
 }
@@ -0,0 +1,104 @@
+/**
+ * Reference fragments - select part of a file for @workspace: injection.
+ *
+ *   report.md#L10-40      lines 10-40 (or #L10 for a single line)
+ *   notes.md#Heading-Name section under a Markdown heading (slug, exact text or %20-encoded)
+ *   data.json#/items/0    JSON pointer (RFC 6901)
+ */
+
+import { parseLineRange, extractLines } from './lines.js';
+import { findPresetMatches } from './patterns.js';
+
+const LINE_FRAGMENT = /^L(\d+(?:-L?\d+)?)$/i;
+
+/**
+ * Lowercase, drop punctuation, join words with dashes ("Next Steps!" -> "next-steps").
+ */
+export function slugify(text) {
+  return text
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .replace(/[\s-]+/g, '-');
+}
+
+/**
+ * Split "path#fragment" into its parts. The fragment is undefined when absent.
+ */
+export function parseReference(ref) {
+  const hash = ref.indexOf('#');
+  if (hash === -1) return { path: ref, fragment: undefined };
+  return { path: ref.slice(0, hash), fragment: ref.slice(hash + 1) };
+}
+
+function decode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+function extractLineFragment(content, spec) {
+  const range = parseLineRange(spec.replace(/L/gi, ''));
+  if (!range) throw new Error(`Invalid line range: L${spec}`);
+
+  const totalLines = content.split('\n').length;
+  if (range.start > totalLines) throw new Error(`Line ${range.start} is past the end of the file (${totalLines} lines)`);
+
+  return extractLines(content, range.start, range.end).text;
+}
+
+// The section runs until the next heading of the same or a higher level
+function extractHeadingFragment(content, name) {
+  const wanted = decode(name);
+  const headings = findPresetMatches(content, 'headings').map((match) => {
+    const [, hashes, title] = match.text.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    return { line: match.line, level: hashes.length, title };
+  });
+
+  const heading = headings.find(h => h.title === wanted)
+    ?? headings.find(h => h.title.toLowerCase() === wanted.toLowerCase())
+    ?? headings.find(h => slugify(h.title) === slugify(wanted));
+  if (!heading) {
+    const available = headings.map(h => slugify(h.title)).slice(0, 20).join(', ');
+    throw new Error(`Heading not found: ${wanted}${available ? ` (available: ${available})` : ''}`);
+  }
+
+  const next = headings.find(h => h.line > heading.line && h.level <= heading.level);
+  const end = next ? next.line - 1 : content.split('\n').length;
+  return extractLines(content, heading.line, end).text.replace(/\n+$/, '');
+}
+
+function extractJsonPointer(content, pointer) {
+  let value;
+  try {
+    value = JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Not valid JSON: ${err.message}`);
+  }
+
+  for (const raw of pointer.split('/').slice(1)) {
+    const token = decode(raw).replace(/~1/g, '/').replace(/~0/g, '~');
+    const exists = Array.isArray(value)
+      ? /^\d+$/.test(token) && Number(token) < value.length
+      : value !== null && typeof value === 'object' && Object.hasOwn(value, token);
+    if (!exists) throw new Error(`JSON pointer not found: ${pointer}`);
+    value = value[token];
+  }
+
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Return the part of `content` selected by `fragment` (without the leading "#").
+ * Throws when the fragment does not match anything.
+ */
+export function extractFragment(content, fragment) {
+  if (!fragment) return content;
+
+  const lines = fragment.match(LINE_FRAGMENT);
+  if (lines) return extractLineFragment(content, lines[1]);
+  if (fragment.startsWith('/')) return extractJsonPointer(content, fragment);
+  return extractHeadingFragment(content, fragment);
+}
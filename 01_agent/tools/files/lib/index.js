@@ -10,3 +10,8 @@ export * from './filetypes.js';
 export * from './ignore.js';
 export * from './paths.js';
 export * from './file-search.js';
+export * from './fragments.js';
+export * from './bundle.js';
+export * from './references.js';
+export * from './search-index.js';
+export * from './semantic-index.js';
@@ -30,6 +30,15 @@ export function getWorkspaceRoot() {
   return CONFIG.workspace.root;
 }
 
+/**
+ * Check if an absolute path is inside the agent's data directory (sessions, transcripts,
+ * spilled outputs, indexes). Tools may read it, e.g. to follow a spill pointer, but never write it.
+ */
+export function isInDataDir(absolutePath) {
+  const dataDir = path.resolve(CONFIG.workspace.dataDir);
+  return absolutePath === dataDir || absolutePath.startsWith(dataDir + path.sep);
+}
+
 /**
  * Resolve a virtual path to a real filesystem path.
  */
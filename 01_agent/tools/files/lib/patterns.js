@@ -74,6 +74,22 @@ function normalizeWhitespace(str) {
     .trim();
 }
 
+/**
+ * Split text into lowercase word tokens (letters, digits, underscore). Used by the search index.
+ */
+export function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) ?? [];
+}
+
+/**
+ * Whether `content` has every word of `pattern` somewhere (the file-level rule of 'tokens' mode;
+ * the 'tokens' regex itself matches lines with any of the words).
+ */
+export function containsAllTokens(content, pattern) {
+  const words = new Set(tokenize(content));
+  return tokenize(pattern).every(word => words.has(word));
+}
+
 /**
  * Build a regex from pattern based on mode.
  */
@@ -103,6 +119,15 @@ export function buildPattern(pattern, mode, options = {}) {
       source = escapeRegex(normalized).replace(/ /g, '\\s+').replace(/\n/g, '\\s*\\n\\s*');
       break;
     }
+
+    // Lines with any of the words, as whole words and ignoring case (callers require all of them per file)
+    case 'tokens': {
+      const words = [...new Set(tokenize(pattern))].map(escapeRegex);
+      source = words.length ? `(?<![\\p{L}\\p{N}_])(?:${words.join('|')})(?![\\p{L}\\p{N}_])` : '(?!)';
+      if (!flags.includes('i')) flags += 'i';
+      flags += 'u';
+      break;
+    }
   }
 
   if (options.wholeWord) {
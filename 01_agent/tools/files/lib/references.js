@@ -0,0 +1,99 @@
+/**
+ * Reference reader - raw workspace reads for @workspace: injection.
+ *
+ * Unlike fs_read there are no line numbers and no preview window: the whole file (or fragment,
+ * or bundle) is injected up to `maxBytes`, and anything cut off is marked in the text.
+ * Binary files are rendered as base64 or a data URI when the target tool accepts it.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { resolvePath, getWorkspaceRoot } from './paths.js';
+import { parseReference, extractFragment } from './fragments.js';
+import { isGlobPattern, listGlobFiles, bundleFiles } from './bundle.js';
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+};
+
+const SNIFF_BYTES = 8000;
+
+// Known binary extensions (SVG is text), or a NUL byte near the start like git's heuristic
+function isBinary(filePath, buffer) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (MIME_TYPES[ext] && ext !== '.svg') return true;
+  return buffer.subarray(0, SNIFF_BYTES).includes(0);
+}
+
+function capText(text, maxBytes, label) {
+  const totalBytes = Buffer.byteLength(text, 'utf8');
+  if (totalBytes <= maxBytes) return { text, truncated: false, totalBytes };
+
+  const kept = Buffer.from(text, 'utf8').subarray(0, maxBytes).toString('utf8').replace(/\uFFFD$/, '');
+  return {
+    text: `${kept}\n[truncated: showing ${maxBytes} of ${totalBytes} bytes of ${label}]`,
+    truncated: true,
+    totalBytes,
+  };
+}
+
+function renderBinary(filePath, buffer, { maxBytes, binary }) {
+  if (!binary) throw new Error('Binary file; this tool only accepts text references');
+  // A cut-off binary is useless, so oversized files fail instead of being truncated
+  if (buffer.length > maxBytes) throw new Error(`Binary file too large to inject (${buffer.length} > ${maxBytes} bytes)`);
+
+  const base64 = buffer.toString('base64');
+  const mimeType = MIME_TYPES[path.extname(filePath).toLowerCase()] ?? 'application/octet-stream';
+  const text = binary === 'data-uri' ? `data:${mimeType};base64,${base64}` : base64;
+  return { text, truncated: false, totalBytes: buffer.length, encoding: binary };
+}
+
+async function readBundle(filePath, fragment, { maxBytes, maxFiles }) {
+  if (fragment) throw new Error('Fragments are not supported for glob or directory references');
+
+  const pattern = isGlobPattern(filePath) ? filePath : `${filePath.replace(/\/+$/, '')}/**`;
+  const files = await listGlobFiles(getWorkspaceRoot(), pattern);
+  if (files.length === 0) throw new Error(`No files match: ${filePath}`);
+
+  const bundle = await bundleFiles(getWorkspaceRoot(), files, { maxBytes, maxFiles });
+  return { ...bundle, encoding: 'utf8' };
+}
+
+/**
+ * Read a reference ("path", "path#fragment", "glob", "dir/") for injection.
+ * Options: maxBytes, maxFiles (bundles), binary ('base64' | 'data-uri' | undefined).
+ * Returns { text, truncated, totalBytes, encoding }; throws when the reference cannot be read.
+ */
+export async function readReference(ref, options) {
+  const { path: filePath, fragment } = parseReference(ref);
+  if (isGlobPattern(filePath) || filePath.endsWith('/')) return readBundle(filePath, fragment, options);
+
+  const resolved = resolvePath(filePath);
+  if (!resolved.ok) throw new Error(resolved.error);
+  const { absolutePath } = resolved.resolved;
+
+  let stat;
+  try {
+    stat = await fs.stat(absolutePath);
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new Error(`File does not exist: ${filePath}`);
+    throw err;
+  }
+  if (stat.isDirectory()) return readBundle(filePath, fragment, options);
+
+  const buffer = await fs.readFile(absolutePath);
+  if (isBinary(filePath, buffer)) {
+    if (fragment) throw new Error('Fragments are not supported for binary files');
+    return renderBinary(filePath, buffer, options);
+  }
+
+  const text = extractFragment(buffer.toString('utf8'), fragment);
+  return { ...capText(text, options.maxBytes, ref), encoding: 'utf8' };
+}
@@ -0,0 +1,318 @@
+/**
+ * Search index - persistent inverted index over workspace text files for fs_read search.
+ * Also scores files with BM25 for fs_read's `rank` mode.
+ *
+ * Saved as per-file term frequencies in dataDir/index/search.json; the term -> files postings
+ * are rebuilt in memory on load. Before each query the searched directory is re-checked:
+ * files whose mtime or size changed are re-read, and re-tokenized only when their checksum
+ * changed. fs_write updates entries right after each write.
+ *
+ * The index only narrows down which files can match; callers still read the candidates
+ * to get exact matches with line numbers.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { CONFIG } from '../../../src/config.js';
+import { getWorkspaceRoot } from './paths.js';
+import { isTextFile } from './filetypes.js';
+import { createIgnoreMatcherForDir } from './ignore.js';
+import { generateChecksum } from './checksum.js';
+import { tokenize, findPresetMatches } from './patterns.js';
+
+const INDEX_VERSION = 2;
+const MAX_DEPTH = 20;
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Extra term frequency for words in headings and in the title (file name or first H1)
+const HEADING_BOOST = 2;
+const TITLE_BOOST = 4;
+
+// { root, files: { relPath: { mtimeMs, size, checksum, length, terms, headings, title } },
+//   postings: Map<term, Map<relPath, tf>>, dirty }
+let state = null;
+let queue = Promise.resolve();
+
+// Private helpers
+const indexPath = () => path.join(CONFIG.workspace.dataDir, 'index', 'search.json');
+
+const inScope = (relPath, scope) => scope === '.' || relPath.startsWith(`${scope}/`);
+
+// Parallel fs_read/fs_write calls share one in-memory index, so updates run one at a time
+function serialized(fn) {
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+function countTerms(content) {
+  const tokens = tokenize(content);
+  const terms = {};
+  for (const token of tokens) terms[token] = (terms[token] ?? 0) + 1;
+  return { length: tokens.length, terms };
+}
+
+function indexContent(relPath, content) {
+  const headings = findPresetMatches(content, 'headings').map(match => match.text);
+  const h1 = headings.find(heading => heading.startsWith('# ')) ?? '';
+  const title = `${path.basename(relPath, path.extname(relPath))}\n${h1}`;
+
+  return {
+    ...countTerms(content),
+    headings: countTerms(headings.join('\n')).terms,
+    title: countTerms(title).terms,
+  };
+}
+
+function addPostings(relPath, entry) {
+  for (const [term, tf] of Object.entries(entry.terms)) {
+    if (!state.postings.has(term)) state.postings.set(term, new Map());
+    state.postings.get(term).set(relPath, tf);
+  }
+}
+
+function removeEntry(relPath) {
+  const entry = state.files[relPath];
+  if (!entry) return;
+
+  for (const term of Object.keys(entry.terms)) {
+    const postings = state.postings.get(term);
+    postings?.delete(relPath);
+    if (postings?.size === 0) state.postings.delete(term);
+  }
+  delete state.files[relPath];
+  state.dirty = true;
+}
+
+function setEntry(relPath, entry) {
+  removeEntry(relPath);
+  state.files[relPath] = entry;
+  addPostings(relPath, entry);
+  state.dirty = true;
+}
+
+async function load() {
+  const root = getWorkspaceRoot();
+  if (state?.root === root) return;
+
+  let files = {};
+  try {
+    const data = JSON.parse(await fs.readFile(indexPath(), 'utf8'));
+    // The data dir can outlive a workspace (e.g. replay scratch copies), so the root must match too
+    if (data.version === INDEX_VERSION && data.root === root) files = data.files;
+  } catch {
+    // Missing or corrupt index: rebuild from scratch
+  }
+
+  state = { root, files: {}, postings: new Map(), dirty: false };
+  for (const [relPath, entry] of Object.entries(files)) {
+    state.files[relPath] = entry;
+    addPostings(relPath, entry);
+  }
+}
+
+async function save() {
+  if (!state.dirty) return;
+
+  const file = indexPath();
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(tmp, JSON.stringify({ version: INDEX_VERSION, root: state.root, files: state.files }), 'utf8');
+  await fs.rename(tmp, file);
+  state.dirty = false;
+}
+
+// Re-read only when mtime/size changed; re-tokenize only when the content really changed
+async function updateEntry(absPath, relPath, stat) {
+  const current = state.files[relPath];
+  if (current && current.mtimeMs === stat.mtimeMs && current.size === stat.size) return;
+
+  const content = await fs.readFile(absPath, 'utf8');
+  const checksum = generateChecksum(content);
+  if (current?.checksum === checksum) {
+    current.mtimeMs = stat.mtimeMs;
+    current.size = stat.size;
+    state.dirty = true;
+    return;
+  }
+
+  setEntry(relPath, { mtimeMs: stat.mtimeMs, size: stat.size, checksum, ...indexContent(relPath, content) });
+}
+
+async function refresh(scope, ignoreMatcher) {
+  const seen = new Set();
+
+  const walk = async (dir, depth) => {
+    if (depth > MAX_DEPTH) return;
+
+    let items;
+    try {
+      items = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const item of items) {
+      const itemPath = path.join(dir, item.name);
+      const relPath = path.relative(state.root, itemPath).split(path.sep).join('/');
+      if (ignoreMatcher.isIgnored(relPath)) continue;
+
+      if (item.isDirectory()) {
+        await walk(itemPath, depth + 1);
+      } else if (item.isFile() && isTextFile(relPath)) {
+        try {
+          await updateEntry(itemPath, relPath, await fs.stat(itemPath));
+          seen.add(relPath);
+        } catch {
+          // Vanished or unreadable since readdir
+        }
+      }
+    }
+  };
+
+  await walk(scope === '.' ? state.root : path.join(state.root, scope), 0);
+
+  for (const relPath of Object.keys(state.files)) {
+    if (inScope(relPath, scope) && !seen.has(relPath)) removeEntry(relPath);
+  }
+}
+
+// Indexed terms a pattern token can match. Only the first and last tokens can be cut off
+// mid-word (e.g. "ODO" in "TODO"), so those match by suffix/prefix/substring; inner ones exactly.
+function matchingTerms(token, { openStart, openEnd }) {
+  if (!openStart && !openEnd) return state.postings.has(token) ? [token] : [];
+
+  const terms = [];
+  for (const term of state.postings.keys()) {
+    const matches = openStart && openEnd ? term.includes(token)
+      : openStart ? term.endsWith(token)
+      : term.startsWith(token);
+    if (matches) terms.push(term);
+  }
+  return terms;
+}
+
+// Files containing every token of the pattern; null when the pattern has no tokens to filter by
+function candidateFiles(pattern, mode) {
+  const tokens = [...new Set(tokenize(pattern))];
+  if (tokens.length === 0) return null;
+
+  const wholeWords = mode === 'tokens';
+  const trimmed = pattern.trim();
+  let candidates = null;
+
+  for (const [i, token] of tokens.entries()) {
+    const openStart = !wholeWords && i === 0 && WORD_CHAR.test(trimmed.at(0));
+    const openEnd = !wholeWords && i === tokens.length - 1 && WORD_CHAR.test(trimmed.at(-1));
+
+    const files = new Set();
+    for (const term of matchingTerms(token, { openStart, openEnd })) {
+      for (const relPath of state.postings.get(term).keys()) files.add(relPath);
+    }
+
+    candidates = candidates ? new Set([...candidates].filter(f => files.has(f))) : files;
+    if (candidates.size === 0) break;
+  }
+  return candidates;
+}
+
+// Refresh the index under `dir` and pass its files (at most `depth` levels down, accepted by `filter`)
+// to `fn`. Resolves to null when the index cannot answer (an ignored directory); callers should scan instead.
+function queryScope(dir, { depth = Infinity, filter }, fn) {
+  const scope = dir.replace(/\/+$/, '') || '.';
+
+  return serialized(async () => {
+    await load();
+
+    const ignoreMatcher = await createIgnoreMatcherForDir(state.root);
+    if (scope !== '.' && ignoreMatcher.isIgnored(scope)) return null;
+
+    await refresh(scope, ignoreMatcher);
+    await save();
+
+    const scopeDepth = scope === '.' ? 0 : scope.split('/').length;
+    const files = Object.keys(state.files)
+      .filter(relPath => inScope(relPath, scope) && relPath.split('/').length - scopeDepth <= depth)
+      .filter(relPath => !filter || filter(relPath));
+    return fn(files);
+  });
+}
+
+// Term frequency with heading and title occurrences counted extra
+function boostedTf(entry, term) {
+  return (entry.terms[term] ?? 0)
+    + HEADING_BOOST * (entry.headings[term] ?? 0)
+    + TITLE_BOOST * (entry.title[term] ?? 0);
+}
+
+function bm25Scores(files, tokens) {
+  const avgLength = files.reduce((sum, relPath) => sum + state.files[relPath].length, 0) / files.length || 1;
+  const scores = new Map();
+
+  for (const token of tokens) {
+    const containing = files.filter(relPath => boostedTf(state.files[relPath], token) > 0);
+    const idf = Math.log(1 + (files.length - containing.length + 0.5) / (containing.length + 0.5));
+
+    for (const relPath of containing) {
+      const entry = state.files[relPath];
+      const tf = boostedTf(entry, token);
+      const norm = BM25_K1 * (1 - BM25_B + BM25_B * entry.length / avgLength);
+      scores.set(relPath, (scores.get(relPath) ?? 0) + idf * (tf * (BM25_K1 + 1)) / (tf + norm));
+    }
+  }
+  return scores;
+}
+
+// Public API
+
+/**
+ * Files under `dir` (a workspace-relative directory, "." for all) that may contain `pattern`,
+ * sorted by path. Modes: 'literal' and 'fuzzy' (the text), 'tokens' (every word somewhere in the file).
+ * `depth` limits nesting below `dir` like the directory walk (1 = direct children).
+ * Returns null when the index cannot answer (an ignored directory); callers should scan instead.
+ */
+export function searchIndex(dir, pattern, { mode = 'literal', depth, filter } = {}) {
+  return queryScope(dir, { depth, filter }, (files) => {
+    const candidates = candidateFiles(pattern, mode);
+    return files.filter(relPath => !candidates || candidates.has(relPath)).sort();
+  });
+}
+
+/**
+ * Rank files under `dir` by BM25 relevance to `query`, with heading and title matches boosted.
+ * `filter(relPath)` restricts the files considered (e.g. by type).
+ * Returns { results: [{ file, score }] (best `limit` first), total } or null like searchIndex.
+ */
+export function rankFiles(dir, query, { depth, filter, limit = 10 } = {}) {
+  return queryScope(dir, { depth, filter }, (files) => {
+    const tokens = [...new Set(tokenize(query))];
+    const ranked = [...bm25Scores(files, tokens)]
+      .map(([file, score]) => ({ file, score: Math.round(score * 1000) / 1000 }))
+      .sort((a, b) => b.score - a.score || a.file.localeCompare(b.file));
+
+    return { results: ranked.slice(0, limit), total: ranked.length };
+  });
+}
+
+/**
+ * Re-index (or drop) one workspace file after it was written or deleted.
+ */
+export function updateIndexEntry(relPath) {
+  return serialized(async () => {
+    await load();
+
+    const ignoreMatcher = await createIgnoreMatcherForDir(state.root);
+    if (ignoreMatcher.isIgnored(relPath) || !isTextFile(relPath)) return;
+
+    const absPath = path.join(state.root, relPath);
+    try {
+      await updateEntry(absPath, relPath, await fs.stat(absPath));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      removeEntry(relPath);
+    }
+    await save();
+  });
+}
@@ -0,0 +1,227 @@
+/**
+ * Semantic index - embeddings of Markdown sections for fs_read's `semantic` mode.
+ *
+ * Files are split into chunks at headings (long sections into windows), embedded with the
+ * provider from CONFIG.embeddings and saved in dataDir/index/vectors.json. A file is only
+ * re-embedded when its checksum changed, or when the embedding provider/model did.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { CONFIG } from '../../../src/config.js';
+import { createEmbedder } from '../../../src/embeddings.js';
+import { getWorkspaceRoot } from './paths.js';
+import { createIgnoreMatcherForDir } from './ignore.js';
+import { listGlobFiles } from './bundle.js';
+import { generateChecksum } from './checksum.js';
+import { findPresetMatches } from './patterns.js';
+
+const INDEX_VERSION = 1;
+const MAX_CHUNK_LINES = 60;
+// Chunks embedded per request
+const EMBED_BATCH_CHUNKS = 64;
+// A long refresh saves at most this often, so an interruption keeps most of its progress
+// without rewriting the whole index after every batch
+const SAVE_INTERVAL_MS = 30000;
+// Sections scoring below this share (almost) nothing with the query and are left out
+const MIN_SCORE = 0.05;
+
+// { root, embedder, files: { relPath: { mtimeMs, size, checksum, chunks: [{ line, endLine, heading, vector }] } }, dirty }
+let state = null;
+let queue = Promise.resolve();
+
+// Private helpers
+const indexPath = () => path.join(CONFIG.workspace.dataDir, 'index', 'vectors.json');
+
+// Full precision only makes the file bigger; similarity rankings don't change
+const compact = (vector) => vector.map(v => Math.round(v * 1e4) / 1e4);
+
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+const inScope = (relPath, scope) => scope === '.' || relPath.startsWith(`${scope}/`);
+
+// Files under `scope` at most `depth` levels down and accepted by `filter`
+function selectFiles(relPaths, scope, { depth = Infinity, filter }) {
+  const scopeDepth = scope === '.' ? 0 : scope.split('/').length;
+  return relPaths.filter(relPath => inScope(relPath, scope)
+    && relPath.split('/').length - scopeDepth <= depth
+    && (!filter || filter(relPath)));
+}
+
+function serialized(fn) {
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+async function load(embedder) {
+  const root = getWorkspaceRoot();
+  if (state?.root === root && state.embedder === embedder.id) return;
+
+  let files = {};
+  try {
+    const data = JSON.parse(await fs.readFile(indexPath(), 'utf8'));
+    // Vectors from another provider or model live in a different space
+    if (data.version === INDEX_VERSION && data.root === root && data.embedder === embedder.id) files = data.files;
+  } catch {
+    // Missing or corrupt index: rebuild from scratch
+  }
+  state = { root, embedder: embedder.id, files, dirty: false };
+}
+
+async function save() {
+  if (!state.dirty) return;
+
+  const file = indexPath();
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const { root, embedder, files } = state;
+  await fs.writeFile(tmp, JSON.stringify({ version: INDEX_VERSION, root, embedder, files }), 'utf8');
+  await fs.rename(tmp, file);
+  state.dirty = false;
+}
+
+// The file with its new chunks when its content changed since it was embedded, otherwise null
+async function checkStale(relPath) {
+  const absPath = path.join(state.root, relPath);
+  let stat;
+  try {
+    stat = await fs.stat(absPath);
+  } catch {
+    return null;
+  }
+
+  const current = state.files[relPath];
+  if (current && current.mtimeMs === stat.mtimeMs && current.size === stat.size) return null;
+
+  const content = await fs.readFile(absPath, 'utf8');
+  const checksum = generateChecksum(content);
+  if (current?.checksum === checksum) {
+    Object.assign(current, { mtimeMs: stat.mtimeMs, size: stat.size });
+    state.dirty = true;
+    return null;
+  }
+  return { relPath, entry: { mtimeMs: stat.mtimeMs, size: stat.size, checksum }, chunks: chunkMarkdown(content) };
+}
+
+async function embedFiles(files, embedder, signal) {
+  const chunks = files.flatMap(file => file.chunks);
+  const vectors = chunks.length ? await embedder.embed(chunks.map(chunk => chunk.input), { signal }) : [];
+
+  let next = 0;
+  for (const { relPath, entry, chunks: fileChunks } of files) {
+    state.files[relPath] = {
+      ...entry,
+      chunks: fileChunks.map(({ line, endLine, heading }) => ({ line, endLine, heading, vector: compact(vectors[next++]) })),
+    };
+  }
+  state.dirty = true;
+}
+
+// Only files the query can return (within depth, accepted by filter) are embedded
+async function refresh(scope, options, embedder, signal) {
+  const relPaths = await listGlobFiles(state.root, scope === '.' ? '**/*.md' : `${scope}/**/*.md`);
+
+  const listed = new Set(relPaths);
+  for (const relPath of Object.keys(state.files)) {
+    if (inScope(relPath, scope) && !listed.has(relPath)) {
+      delete state.files[relPath];
+      state.dirty = true;
+    }
+  }
+
+  // Files are read and embedded a batch at a time, so only one batch of chunks is held in memory
+  let embedded = 0;
+  let batch = [];
+  let batchChunks = 0;
+  let lastSave = Date.now();
+
+  const flush = async () => {
+    await embedFiles(batch, embedder, signal);
+    embedded += batch.length;
+    batch = [];
+    batchChunks = 0;
+    if (Date.now() - lastSave >= SAVE_INTERVAL_MS) {
+      await save();
+      lastSave = Date.now();
+    }
+  };
+
+  for (const relPath of selectFiles(relPaths, scope, options)) {
+    const file = await checkStale(relPath);
+    if (!file) continue;
+
+    batch.push(file);
+    batchChunks += file.chunks.length;
+    if (batchChunks >= EMBED_BATCH_CHUNKS) await flush();
+  }
+  if (batch.length > 0) await flush();
+
+  return embedded;
+}
+
+// Public API
+
+/**
+ * Split Markdown into chunks at headings; sections longer than MAX_CHUNK_LINES become several windows.
+ * Returns [{ line, endLine, heading, text, input }] where `input` is the text to embed
+ * (windows after the first repeat their heading for context).
+ */
+export function chunkMarkdown(content) {
+  const lines = content.split('\n');
+  const headings = findPresetMatches(content, 'headings');
+  const starts = [1, ...headings.map(h => h.line).filter(line => line > 1)];
+  const chunks = [];
+
+  for (const [i, start] of starts.entries()) {
+    const end = (starts[i + 1] ?? lines.length + 1) - 1;
+    const heading = headings.find(h => h.line === start)?.text.replace(/^#+\s*/, '') ?? null;
+
+    for (let from = start; from <= end; from += MAX_CHUNK_LINES) {
+      const to = Math.min(end, from + MAX_CHUNK_LINES - 1);
+      const text = lines.slice(from - 1, to).join('\n');
+      if (!text.trim()) continue;
+
+      chunks.push({ line: from, endLine: to, heading, text, input: heading && from !== start ? `${heading}\n${text}` : text });
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Chunks of Markdown files under `dir` closest in meaning to `query`, best first.
+ * `depth` limits nesting below `dir` (1 = direct children), `filter(relPath)` restricts the files
+ * searched (only those are embedded) and `signal` cancels embedding requests.
+ * Sections scoring below MIN_SCORE are left out.
+ * Returns { results: [{ file, line, endLine, heading, score }], sections (all sections searched),
+ * embedded (files re-embedded by this call) }, or null when `dir` is ignored.
+ */
+export function semanticSearch(dir, query, { depth = Infinity, filter, limit = 10, signal } = {}) {
+  const scope = dir.replace(/\/+$/, '') || '.';
+  const embedder = createEmbedder({ ...CONFIG.embeddings, retry: CONFIG.provider.retry });
+
+  return serialized(async () => {
+    await load(embedder);
+
+    const ignoreMatcher = await createIgnoreMatcherForDir(state.root);
+    if (scope !== '.' && ignoreMatcher.isIgnored(scope)) return null;
+
+    const embedded = await refresh(scope, { depth, filter }, embedder, signal);
+    await save();
+
+    const [queryVector] = await embedder.embed([query], { signal });
+    const results = [];
+    let sections = 0;
+
+    for (const file of selectFiles(Object.keys(state.files), scope, { depth, filter })) {
+      for (const { line, endLine, heading, vector } of state.files[file].chunks) {
+        sections++;
+        const score = Math.round(dot(queryVector, vector) * 1000) / 1000;
+        if (score >= MIN_SCORE) results.push({ file, line, endLine, heading, score });
+      }
+    }
+
+    results.sort((a, b) => b.score - a.score || a.file.localeCompare(b.file) || a.line - b.line);
+    return { results: results.slice(0, limit), sections, embedded };
+  });
+}
@@ -1,48 +1,162 @@
 /**
- * Tools Registry - exports all tools and provides executor.
+ * Tools Registry - discovers tools and provides executor.
+ *
+ * A tool is any module in tools/<group>/*.js (or the plugins directory) that exports
+ * `schema` and `execute(args, context)`. Optional exports: `input` (zod schema used to
+ * validate arguments), `settings` (defaults, overridable via CONFIG.tools.settings),
+ * `execution` (scheduling policy, see getToolExecution), `approval` (see getToolApproval)
+ * and `references` (see readFile).
  */
 
-import * as fsRead from './files/fs-read.js';
-import * as fsWrite from './files/fs-write.js';
-import * as scrape from './web/scrape.js';
-import * as send from './email/send.js';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { CONFIG } from '../src/config.js';
+import { readReference } from './files/lib/references.js';
+import { validateArgs } from './schema.js';
+
+const isToolModule = (mod) => mod.schema?.name && typeof mod.execute === 'function';
+
+async function readDir(dir) {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries.sort((a, b) => a.name.localeCompare(b.name));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+const jsFiles = (dir, entries) => entries
+  .filter(entry => entry.isFile() && entry.name.endsWith('.js'))
+  .map(entry => path.join(dir, entry.name));
+
+// Modules one level down (tools/files/fs-read.js), plus top-level ones when `flat`; lib/ holds helper code
+async function listModules(dir, { flat = false } = {}) {
+  const entries = await readDir(dir);
+  const files = flat ? jsFiles(dir, entries) : [];
+
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name === 'lib') continue;
+    const subdir = path.join(dir, entry.name);
+    files.push(...jsFiles(subdir, await readDir(subdir)));
+  }
+  return files;
+}
+
+function isEnabled(name) {
+  const { enabled, disabled } = CONFIG.tools;
+  if (disabled.includes(name)) return false;
+  return !enabled || enabled.includes(name);
+}
+
+// Plugins may be single files or grouped like the built-in tools
+async function discoverTools() {
+  const builtIn = await listModules(import.meta.dirname);
+  const plugins = CONFIG.tools.pluginsDir
+    ? await listModules(path.resolve(CONFIG.tools.pluginsDir), { flat: true })
+    : [];
+
+  const registry = {};
+  for (const file of [...builtIn, ...plugins]) {
+    const mod = await import(pathToFileURL(file).href);
+    if (!isToolModule(mod)) continue;
+
+    const { name } = mod.schema;
+    if (registry[name]) throw new Error(`Duplicate tool "${name}" in ${file}`);
+    if (isEnabled(name)) registry[name] = mod;
+  }
+  return registry;
+}
 
 // Tool registry
-const registry = {
-  fs_read: fsRead,
-  fs_write: fsWrite,
-  scrape: scrape,
-  send: send,
-};
+const registry = await discoverTools();
 
 // Export schemas for OpenAI
 export const tools = Object.values(registry).map((t) => t.schema);
 
 /**
- * Execute a tool by name.
+ * Add tools from outside the tools directory (e.g. MCP servers) to the registry.
+ * Disabled and already registered names are skipped. Returns the names added.
  */
-export async function executeTool(name, args) {
+export function registerTools(entries) {
+  const added = [];
+  for (const entry of entries) {
+    const { name } = entry.schema;
+    if (registry[name] || !isEnabled(name)) continue;
+    registry[name] = entry;
+    tools.push(entry.schema);
+    added.push(name);
+  }
+  return added;
+}
+
+/**
+ * Reject as soon as the signal aborts, even if the tool ignores it.
+ */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Execute a tool by name. Arguments are validated against the tool's zod schema first;
+ * invalid ones are returned as an INVALID_ARGUMENTS result the model can correct.
+ * The tool receives `context.signal` and its merged `context.settings`.
+ */
+export async function executeTool(name, args, { signal } = {}) {
   const tool = registry[name];
   if (!tool) {
     throw new Error(`Unknown tool: ${name}`);
   }
-  return await tool.execute(args);
+
+  // Plugins without a zod schema receive the arguments as-is
+  const validation = tool.input ? validateArgs(name, tool.input, args) : { success: true, data: args };
+  if (!validation.success) return JSON.stringify(validation.error);
+
+  const settings = { ...tool.settings, ...CONFIG.tools.settings[name] };
+  signal?.throwIfAborted();
+  return await abortable(tool.execute(validation.data, { signal, settings }), signal);
 }
 
 /**
- * Read a file from workspace (for @workspace: references).
+ * Execution policy used by the scheduler, declared by tools with an `execution` export:
+ * { readOnly, exclusive, paths(args) }, plus `dryRun` (see getToolApproval).
+ * CONFIG.tools.exclusive can mark any tool exclusive (e.g. MCP ones).
  */
-export async function readFile(path) {
-  const result = await fsRead.execute({ path });
-  const data = JSON.parse(result);
-
-  if (data.type === 'file' && data.content?.text) {
-    // Strip line numbers
-    return data.content.text
-      .split('\n')
-      .map((line) => line.replace(/^\s*\d+\|/, ''))
-      .join('\n');
+export function getToolExecution(name) {
+  const execution = registry[name]?.execution ?? {};
+  return { ...execution, exclusive: Boolean(execution.exclusive) || CONFIG.tools.exclusive.includes(name) };
+}
+
+/**
+ * Approval inputs for a call: `policy` is the default ("auto", "ask" or "deny") declared by a tool
+ * with an `approval` export, e.g. MCP tools (CONFIG.mcp.approval); CONFIG.approval.tools still takes precedence.
+ * `dryRun` is true only for tools declaring `execution.dryRun` whose validated arguments ask for one,
+ * so a stray dryRun flag on other tools (dropped by validation) can't skip approval.
+ */
+export function getToolApproval(name, args) {
+  const tool = registry[name];
+  let dryRun = false;
+  if (tool?.execution?.dryRun && tool.input) {
+    const validation = validateArgs(name, tool.input, args);
+    dryRun = validation.success && validation.data.dryRun === true;
   }
+  return { policy: tool?.approval, dryRun };
+}
 
-  throw new Error(`Could not read file: ${path}`);
+/**
+ * Read a reference for @workspace: injection (see files/lib/references.js).
+ * Binary files are rendered as base64 / data URI only for tools that accept them,
+ * declared with a `references: { binary }` export or CONFIG.references.binary[tool].
+ * Returns { text, truncated, totalBytes, encoding }.
+ */
+export async function readFile(ref, { tool } = {}) {
+  const { maxBytes, maxFiles } = CONFIG.references;
+  const binary = CONFIG.references.binary[tool] ?? registry[tool]?.references?.binary;
+  return readReference(ref, { maxBytes, maxFiles, binary });
 }
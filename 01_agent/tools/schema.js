@@ -0,0 +1,51 @@
+/**
+ * Tool schemas - zod input schemas are the single source of truth.
+ * The JSON schema sent to the model is generated from them, and the same schema
+ * validates the model's arguments before a tool runs.
+ */
+
+import { z } from 'zod/v4';
+
+export { z };
+
+/**
+ * Build the function tool definition sent to the model.
+ */
+export function defineTool({ name, description, input }) {
+  const { $schema, ...parameters } = z.toJSONSchema(input, { io: 'input' });
+  return { type: 'function', name, description, parameters };
+}
+
+const formatPath = (path) => path.length > 0 ? path.join('.') : '(arguments)';
+
+function formatIssue(issue) {
+  // Union errors list every branch; summarize them as the accepted types
+  if (issue.code === 'invalid_union' && issue.errors?.length) {
+    const expected = issue.errors.map(branch => branch[0]?.expected).filter(Boolean);
+    if (expected.length > 0) return { path: formatPath(issue.path), message: `Expected one of: ${expected.join(', ')}` };
+  }
+  return { path: formatPath(issue.path), message: issue.message };
+}
+
+/**
+ * Validate arguments against a tool's input schema.
+ * Returns { success: true, data } or { success: false, error } where error is the tool result to return.
+ */
+export function validateArgs(name, input, args) {
+  const result = input.safeParse(args);
+  if (result.success) return { success: true, data: result.data };
+
+  const issues = result.error.issues.map(formatIssue);
+  return {
+    success: false,
+    error: {
+      success: false,
+      error: {
+        code: 'INVALID_ARGUMENTS',
+        message: `Invalid arguments for ${name}: ${issues.map(i => `${i.path}: ${i.message}`).join('; ')}`,
+        issues,
+      },
+      hint: 'Fix the listed arguments to match the tool schema and call the tool again.',
+    },
+  };
+}
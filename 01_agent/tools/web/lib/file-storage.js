@@ -5,6 +5,7 @@
 import { mkdir, writeFile } from 'node:fs/promises';
 import { basename, dirname, join } from 'node:path';
 import { CONFIG } from '../../../src/config.js';
+import { isInDataDir } from '../../files/lib/paths.js';
 
 function extractDomain(url) {
   try {
@@ -73,6 +74,10 @@ export class FileStorage {
     const absolutePath = join(outputDir, internalPath);
     const relativePath = join(this.relativePrefix, internalPath);
 
+    if (isInDataDir(absolutePath)) {
+      throw new Error('Scrape output directory is inside the agent data directory; set FIRECRAWL_OUTPUT_DIR elsewhere');
+    }
+
     const markdownContent = this.buildMarkdownWithFrontmatter(url, content);
 
     await mkdir(dirname(absolutePath), { recursive: true });
@@ -59,7 +59,7 @@ export class FirecrawlClient {
       timeout: options.timeout,
     };
 
-    return this.request('/scrape', 'POST', body);
+    return this.request('/scrape', 'POST', body, options.signal);
   }
 
   async batchScrape(urls, options = {}, onProgress) {
@@ -69,7 +69,7 @@ export class FirecrawlClient {
       onlyMainContent: options.onlyMainContent,
     };
 
-    const startResponse = await this.request('/batch/scrape', 'POST', body);
+    const startResponse = await this.request('/batch/scrape', 'POST', body, options.signal);
 
     if (!startResponse.success || !startResponse.id) {
       throw new Error(startResponse.error ?? 'Failed to start batch scrape');
@@ -80,13 +80,13 @@ export class FirecrawlClient {
     let nextUrl = `/batch/scrape/${jobId}`;
 
     while (nextUrl) {
-      await this.sleep(2000);
+      await this.sleep(2000, options.signal);
 
       const statusPath = nextUrl.startsWith('http')
         ? new URL(nextUrl).pathname + new URL(nextUrl).search
         : nextUrl;
 
-      const status = await this.request(statusPath, 'GET');
+      const status = await this.request(statusPath, 'GET', undefined, options.signal);
 
       if (onProgress) {
         onProgress(status.completed, status.total);
@@ -110,10 +110,11 @@ export class FirecrawlClient {
     return results;
   }
 
-  async request(path, method, body) {
+  async request(path, method, body, signal) {
     let lastError = null;
 
     for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      signal?.throwIfAborted();
       await this.rateLimiter.acquire();
 
       try {
@@ -126,6 +127,7 @@ export class FirecrawlClient {
             'Content-Type': 'application/json',
           },
           body: body ? JSON.stringify(body) : undefined,
+          signal,
         });
 
         if (response.status === 429) {
@@ -134,12 +136,12 @@ export class FirecrawlClient {
             ? parseInt(retryAfter, 10) * 1000
             : this.retryAfterMs * (attempt + 1);
 
-          await this.sleep(waitTime);
+          await this.sleep(waitTime, signal);
           continue;
         }
 
         if (response.status >= 500) {
-          await this.sleep(this.retryAfterMs * (attempt + 1));
+          await this.sleep(this.retryAfterMs * (attempt + 1), signal);
           continue;
         }
 
@@ -151,10 +153,11 @@ export class FirecrawlClient {
 
         return data;
       } catch (error) {
+        if (signal?.aborted) throw error;
         lastError = error;
 
         if (attempt < this.maxRetries) {
-          await this.sleep(this.retryAfterMs * (attempt + 1));
+          await this.sleep(this.retryAfterMs * (attempt + 1), signal);
         }
       }
     }
@@ -162,8 +165,14 @@ export class FirecrawlClient {
     throw lastError ?? new Error('Max retries exceeded');
   }
 
-  sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    });
   }
 }
 
@@ -2,46 +2,40 @@
  * scrape Tool - Scrape web pages and extract content.
  */
 
+import { relative } from 'node:path';
 import { firecrawlClient } from './lib/firecrawl-client.js';
 import { fileStorage } from './lib/file-storage.js';
 import { CONFIG } from '../../src/config.js';
-
-export const schema = {
-  type: 'function',
+import { z, defineTool } from '../schema.js';
+
+export const input = z.object({
+  urls: z.union([
+    z.string().describe('Single URL to scrape'),
+    z.array(z.string()).min(1).max(100).describe('Array of URLs (max 100)'),
+  ]).describe('URL(s) to scrape'),
+  formats: z.array(z.enum(['markdown', 'html', 'rawHtml', 'links', 'screenshot']))
+    .optional().describe('Output formats. Default: ["markdown"]'),
+  onlyMainContent: z.boolean().optional().describe('Extract only main content, excluding headers/footers. Default: true'),
+  outputMode: z.enum(['direct', 'file']).optional().describe('Override default output mode'),
+});
+
+export const schema = defineTool({
   name: 'scrape',
   description: `Scrape web pages and extract content as markdown.
 Supports single URL or batch scraping (up to 100 URLs).
 Output modes: direct (returns content) or file (saves to disk).`,
-  parameters: {
-    type: 'object',
-    properties: {
-      urls: {
-        oneOf: [
-          { type: 'string', description: 'Single URL to scrape' },
-          { type: 'array', items: { type: 'string' }, description: 'Array of URLs (max 100)' },
-        ],
-        description: 'URL(s) to scrape',
-      },
-      formats: {
-        type: 'array',
-        items: { type: 'string', enum: ['markdown', 'html', 'rawHtml', 'links', 'screenshot'] },
-        description: 'Output formats. Default: ["markdown"]',
-      },
-      onlyMainContent: {
-        type: 'boolean',
-        description: 'Extract only main content, excluding headers/footers. Default: true',
-      },
-      outputMode: {
-        type: 'string',
-        enum: ['direct', 'file'],
-        description: 'Override default output mode',
-      },
-    },
-    required: ['urls'],
-  },
+  input,
+});
+
+// Only file mode writes to the workspace, always under the output directory
+export const execution = {
+  readOnly: false,
+  paths: (args) => (args.outputMode ?? CONFIG.firecrawl.outputMode) === 'file'
+    ? [relative(CONFIG.workspace.root, CONFIG.firecrawl.outputDir)]
+    : [],
 };
 
-export async function execute(args) {
+export async function execute(args, { signal } = {}) {
   const urls = Array.isArray(args.urls) ? args.urls : [args.urls];
   const outputMode = args.outputMode ?? CONFIG.firecrawl.outputMode ?? 'direct';
   const saveToFile = outputMode === 'file';
@@ -49,6 +43,7 @@ export async function execute(args) {
   const scrapeOptions = {
     formats: args.formats ?? ['markdown'],
     onlyMainContent: args.onlyMainContent ?? true,
+    signal,
   };
 
   const results = [];
@@ -96,7 +91,7 @@ export async function execute(args) {
       }
     } else {
       const batchResults = await firecrawlClient.batchScrape(urls, scrapeOptions, (completed, total) => {
-        console.log(`Batch scrape progress: ${completed}/${total}`);
+        console.error(`Batch scrape progress: ${completed}/${total}`);
       });
 
       const resultsToSave = [];
@@ -1,13 +1,19 @@
 import * as readline from 'readline/promises';
 import { CONFIG } from './src/config.js';
-import { requireEnv, onShutdown } from './src/helpers.js';
+import { requireEnv, onShutdown, logRetry, logError } from './src/helpers.js';
 import { initSandbox, destroySandbox } from './src/sandbox.js';
 import { runAgentLoop } from './src/ai.js';
+import { createProvider } from './src/providers/index.js';
 
 async function main() {
-  requireEnv(CONFIG.apiKey, 'OPENAI_API_KEY');
+  // Stub and self-hosted OpenAI-compatible servers run without a key
+  if (CONFIG.provider.name !== 'stub' && !CONFIG.provider.baseUrl) {
+    requireEnv(CONFIG.apiKey, 'LLM_API_KEY or OPENAI_API_KEY');
+  }
   requireEnv(CONFIG.daytonaApiKey, 'DAYTONA_API_KEY');
 
+  const provider = createProvider({ ...CONFIG.provider, onRetry: logRetry });
+
   const sandbox = await initSandbox(CONFIG.daytonaApiKey, CONFIG.localDir);
   
   console.log(`
@@ -37,6 +43,7 @@ Type "exit" to quit.
     try {
       const result = await runAgentLoop({ 
         input, 
+        provider,
         apiKey: CONFIG.apiKey, 
         model: CONFIG.model,
         responseId,
@@ -45,7 +52,7 @@ Type "exit" to quit.
       responseId = result.responseId;
       console.log(`\nAssistant: ${result.text}\n`);
     } catch (err) {
-      console.error(`\nError: ${err.message}\n`);
+      logError(err);
     }
   }
 
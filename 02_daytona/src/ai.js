@@ -6,23 +6,15 @@ import {
 } from './helpers.js';
 
 // Private helpers
-async function createCompletion({ apiKey, model, tools, input, previousResponseId }) {
-  const response = await fetch('https://api.openai.com/v1/responses', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
-    body: JSON.stringify({
-      model,
-      instructions: CONFIG.systemPrompt,
-      input,
-      tools,
-      ...(previousResponseId && { previous_response_id: previousResponseId })
-    })
+async function createCompletion(provider, { apiKey, model, tools, input, previousResponseId }) {
+  return provider.complete({
+    apiKey,
+    model,
+    instructions: CONFIG.systemPrompt,
+    input,
+    tools,
+    previousResponseId
   });
-
-  const data = await response.json();
-  if (data.error) throw new Error(data.error.message);
-  
-  return { output: data.output, responseId: data.id };
 }
 
 async function executeCall(call) {
@@ -36,12 +28,12 @@ async function executeCall(call) {
 }
 
 // Public API
-export async function runAgentLoop({ input, apiKey, model, responseId = null, iteration = 0, maxIterations }) {
+export async function runAgentLoop({ input, provider, apiKey, model, responseId = null, iteration = 0, maxIterations }) {
   if (iteration >= maxIterations) throw new Error('Max iterations reached');
 
   const tools = [{ type: 'web_search' }, ...toolDefinitions];
   
-  const { output, responseId: newId } = await createCompletion({ 
+  const { output, responseId: newId } = await createCompletion(provider, { 
     apiKey, model, tools, input, previousResponseId: responseId 
   });
 
@@ -54,7 +46,7 @@ export async function runAgentLoop({ input, apiKey, model, responseId = null, it
   const results = await Promise.all(toolCalls.map(executeCall));
 
   return runAgentLoop({ 
-    input: results, apiKey, model, 
+    input: results, provider, apiKey, model, 
     responseId: newId, iteration: iteration + 1, maxIterations 
   });
 }
@@ -3,12 +3,28 @@ import { join } from 'path';
 const rootDir = join(import.meta.dirname, '..');
 
 export const CONFIG = {
-  model: 'gpt-5.2',
-  apiKey: process.env.OPENAI_API_KEY,
+  model: process.env.LLM_MODEL || 'gpt-5.2',
+  apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
   daytonaApiKey: process.env.DAYTONA_API_KEY,
   maxIterations: 10,
   localDir: join(rootDir, 'workspace'),
 
+  // LLM provider: "responses", "chat", "anthropic" or "stub"
+  provider: {
+    name: process.env.LLM_PROVIDER || 'responses',
+    // OpenAI-compatible base URL, e.g. http://localhost:11434/v1 for Ollama
+    baseUrl: process.env.LLM_BASE_URL,
+    // JSON file with canned outputs replayed by the stub provider
+    stubScript: process.env.LLM_STUB_SCRIPT,
+    // Retries for rate limits (429), server errors (5xx), timeouts and network failures
+    retry: {
+      maxRetries: 3,
+      baseDelayMs: 1000,
+      maxDelayMs: 30000,
+      timeoutMs: Number(process.env.LLM_TIMEOUT_MS) || 120000,
+    },
+  },
+
   systemPrompt: `You are a helpful assistant that accomplishes tasks by discovering and using skills.
 
 ## WORKFLOW
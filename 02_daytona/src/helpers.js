@@ -29,6 +29,30 @@ export const logToolEnd = (name, result) => {
   console.log(`  ${c.cyan}━━━ /${name} ━━━${c.reset}\n`);
 };
 
+// Model API errors
+const ERROR_HINTS = {
+  auth: 'Check LLM_API_KEY / OPENAI_API_KEY.',
+  rate_limit: 'Rate limited, retries exhausted. Try again in a moment.',
+  server: 'The provider returned a server error, retries exhausted.',
+  timeout: 'Increase LLM_TIMEOUT_MS if responses are legitimately slow.',
+  network: 'Check your connection or LLM_BASE_URL.',
+  bad_request: 'The request was rejected; check the model name and tool schemas.',
+};
+
+export const logRetry = (err, attempt, delayMs) =>
+  console.log(`  ${c.yellow}↻ ${err.kind}${err.status ? ` (HTTP ${err.status})` : ''}: retry ${attempt} in ${(delayMs / 1000).toFixed(1)}s${c.reset}`);
+
+export const logError = (err) => {
+  if (!err.kind) {
+    console.error(`\nError: ${err.message}\n`);
+    return;
+  }
+  const hint = ERROR_HINTS[err.kind];
+  console.error(`\n${c.red}Error [${err.kind}${err.status ? ` ${err.status}` : ''}]: ${err.message}${c.reset}`);
+  if (hint) console.error(`${c.gray}${hint}${c.reset}`);
+  console.error('');
+};
+
 // Guards
 export const requireEnv = (value, name) => {
   if (!value) {
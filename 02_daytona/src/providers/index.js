@@ -0,0 +1,55 @@
+/**
+ * LLM provider registry.
+ *
+ * Every provider exposes the same interface, speaking Responses API items:
+ *   complete({ apiKey, model, instructions, input, tools, previousResponseId })
+ *     → { output, responseId }
+ */
+
+import { createResponsesProvider } from './responses.js';
+import { createChatProvider } from './chat.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createStubProvider } from './stub.js';
+
+export { ModelApiError } from './http.js';
+
+const factories = {
+  responses: createResponsesProvider,
+  chat: createChatProvider,
+  anthropic: createAnthropicProvider,
+  stub: createStubProvider,
+};
+
+const toItems = (input) => typeof input === 'string' ? [{ role: 'user', content: input }] : input;
+
+/**
+ * Emulate previous_response_id for providers that do not store responses,
+ * by keeping each conversation's items in memory keyed by response id.
+ */
+function withLocalHistory(provider) {
+  const history = new Map();
+
+  return {
+    ...provider,
+    async complete({ input, previousResponseId, ...rest }) {
+      const items = [...(history.get(previousResponseId) ?? []), ...toItems(input)];
+      const result = await provider.complete({ ...rest, input: items });
+      history.set(result.responseId, [...items, ...result.output]);
+      return result;
+    },
+  };
+}
+
+/**
+ * Create a provider from CONFIG.provider settings.
+ * `onRetry(error, attempt, delayMs)` is called before each retried request.
+ */
+export function createProvider({ name = 'responses', baseUrl, stubScript, retry, onRetry } = {}) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown provider: ${name}. Available: ${Object.keys(factories).join(', ')}`);
+  }
+
+  const provider = factory({ ...(baseUrl && { baseUrl }), script: stubScript, http: { ...retry, onRetry } });
+  return provider.stateless ? withLocalHistory(provider) : provider;
+}
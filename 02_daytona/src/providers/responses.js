@@ -0,0 +1,30 @@
+/**
+ * OpenAI Responses API provider (also any server exposing /v1/responses).
+ */
+
+import { postJson, ModelApiError } from './http.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+export function createResponsesProvider({ baseUrl = DEFAULT_BASE_URL, http } = {}) {
+  return {
+    name: 'responses',
+
+    async complete({ apiKey, model, instructions, input, tools, previousResponseId }) {
+      const data = await postJson(`${baseUrl}/responses`, {
+        headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+        body: {
+          model,
+          instructions,
+          input,
+          tools,
+          ...(previousResponseId && { previous_response_id: previousResponseId })
+        }
+      }, http);
+
+      if (data.error) throw new ModelApiError(data.error.message);
+
+      return { output: data.output, responseId: data.id };
+    },
+  };
+}